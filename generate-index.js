@@ -13,37 +13,159 @@
  *
  * Key Steps:
  * ----------
- * 1) **Clear the target folder**: Removes any existing contents of the output directory
- *    (conceptually called "docs/") to ensure a fresh start.
- * 2) **Recursively scan the source directory** (conceptually "repository/").
+ * 1) **Prepare a staging folder** next to the output directory (conceptually
+ *    called "docs/"), so every build starts from a fresh slate. In incremental mode
+ *    the staging folder starts as a copy of the previous output and only sources
+ *    whose content hash changed are rebuilt.
+ * 2) **Recursively scan the source directory** (conceptually "repository/"),
+ *    skipping drafts and sources outside their publishAt/expireAt window.
+ *    Every entity's output folder is decided up front: names colliding within a
+ *    folder get a "-2", "-3", … suffix, and ids shared by several entities are reported.
  * 3) **For each entity** (a .json file or a folder containing "entity.json"):
  *    a) Parse the JSON to detect its "digest" (id, name, etc.) and entity type.
  *    b) Create a subfolder in the target directory, extracting embedded media
  *       (images/audio) and rewriting references to remote URLs.
  *    c) Write the final entity JSON and produce an index entry referencing it.
+ *    d) Write a downloadable package zip next to the folder, with the media
+ *       references converted back to package-local ones.
  * 4) **For non-JSON files**, copy them as-is and note a `downloadURL` in the index.
  * 5) **Generate an index.json** in each directory with the shape:
  *    {
  *      "info": { / Directory metadata (if any) / },
  *      "items": [ / List of items in this directory / ]
  *    }
+ *    plus an "index.<lang>.json" for every configured locale.
+ * 6) **Write catalog.json** at the root: generator/schema versions, build timestamp,
+ *    baseUrl, per-entity-type counts, total media size and the top-level sections,
+ *    plus a flat search-index.json over every entity and a featured.json
+ *    grouping every entity placed directly inside a "Featured" folder.
+ *    changes.json lists the entities added, updated and removed since the previous build.
+ * 7) **Write integrity.json**: size and SHA-256 of every generated file,
+ *    optionally signed with an Ed25519 key (integrity.sig.json).
+ * 8) **Publish the staging folder** once everything succeeded by renaming it into
+ *    targetDir, keeping the previous output in backupDir for rollback.
+ * 9) **Write the build report** ("<targetDir>.build-report.json"), successful or not:
+ *    every warning and error with its category and source, plus per-type counts and sizes.
  *
  * Configuration (config.json):
  * ---------------------------
  * - sourceDir: The input folder (e.g., "repository/" but can be any path).
  * - targetDir: The output folder (e.g., "docs/" but can be any path).
  * - baseUrl:   The prefix for generated URLs (e.g., "http://localhost:3000").
+ * - urlMode: (optional) "absolute" (default) or "relative": generated URLs are then
+ *   catalog-relative paths, resolved by the client against the catalog root.
+ * - mirrors: (optional) Other base URLs serving the same docs, listed in catalog.json.
+ * - entityTypes: (optional) Entries merged by `type` into the built-in entity-type
+ *   registry: which source folders hold which type, plus image file name and digest
+ *   fields for types the generator does not know yet.
+ * - zipLimits: (optional) Overrides for the zip package limits (maxEntries, maxFileBytes,
+ *   maxTotalBytes, allowedExtensions); see ZIP_LIMITS.
+ * - plugins: (optional) Modules hooking into the build (custom entity types, JSON
+ *   transforms, extra digest fields, extra files and index entries); see PLUGIN_HOOKS.
+ * - incremental: (optional) When true, only entities whose sources changed since
+ *   the previous run are re-processed (same as passing `--incremental`).
+ *
+ * - strictDependencies: (optional) Same as `--strict-dependencies`.
+ * - catalogDependencies: (optional) "link" (default), "inline" or "off": how Program
+ *   dependencies missing from the package but published in the catalog are referenced.
+ * - locales: (optional) Language codes, e.g. ["en", "ja"]. Each folder then also gets an
+ *   "index.<lang>.json" using the `localized` metadata of repo-metadata.json, listing
+ *   only the Programs in that language.
+ * - keepGenerations: (optional) How many previous outputs to keep in backupDir as
+ *   "<targetDir name>.gen-<timestamp>" for rollback (default 1).
+ * - backupDir: (optional) Where previous outputs are kept (default ".generations",
+ *   next to config.json), outside the published tree.
+ * - signingKey: (optional) Path to an Ed25519 private key (PEM) used to sign integrity.json.
+ * - verifyKey: (optional) Path to the matching public key (PEM) for `verify`; derived
+ *   from signingKey when omitted.
+ * - strict: (optional) Same as `--strict`.
+ * - whatsNewDraft: (optional) Same as `--whats-new-draft`.
+ * - logLevel: (optional) "quiet", "normal" (default) or "verbose"; `--quiet` and
+ *   `--verbose` take precedence.
+ * - buildReport: (optional) Where to write the build report (default
+ *   "<targetDir>.build-report.json").
+ *
+ * Commands:
+ * ---------
+ * (none)         Build the catalog.
+ * validate       Check every entity against its schema without writing anything;
+ *                exits non-zero if any problem is found.
+ * rebase <newBaseUrl> [dir]
+ *                Rewrite the generated URLs of a docs tree (default: targetDir) from
+ *                its current baseUrl to a new one, without re-extracting anything.
+ * verify [dir]   Check a docs tree (default: targetDir) against its integrity.json
+ *                and signature; exits non-zero if anything does not match.
+ * check [dir]    Check that every generated URL of a docs tree (default: targetDir)
+ *                points to an existing file, and list unreferenced media files;
+ *                exits non-zero if any reference is dangling.
+ *
+ * Command-line flags:
+ * -------------------
+ * --incremental  Reuse unchanged outputs recorded in the build cache.
+ * --clean        Force a full clean rebuild, even if incremental mode is enabled.
+ * --rollback     Restore the most recent generation kept in backupDir as targetDir.
+ * --strict-dependencies
+ *                Fail the build if a Program references a dependency missing from its package.
+ * --watch        Build, then rebuild incrementally whenever something in sourceDir changes.
+ * --include-drafts
+ *                Preview build: also publish drafts and entities outside their
+ *                publishAt/expireAt window. Meant for local-server testing only.
+ * --strict       Fail the build (keeping the previous output) if there is any warning.
+ * --quiet        Only print warnings and errors.
+ * --verbose      Also print a line for every file written or reused.
+ * --whats-new-draft
+ *                Pre-fill draft sections in the repository's whats-new.json with the
+ *                entities added, updated and removed by this build, for review in whats-new.js.
+ *
+ * Programmatic use:
+ * -----------------
+ *   const { generateCatalog } = require("./generate-index");
+ *   const result = generateCatalog({ sourceDir, targetDir, baseUrl, incremental: true });
+ * Options are the config.json keys plus the flags above in camelCase (`logLevel` instead
+ * of --quiet / --verbose); config.json is not read. The result lists the published
+ * entities, the warnings and errors (as build report problem entries) and the report
+ * path. Requiring the module does nothing by itself and it never exits the process.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const zlib = require("zlib");
 const AdmZip = require("adm-zip");
 const os = require("os");
+const { spawn } = require("child_process");
 
 // The JSON file name that, if present in a directory, is read into the "info" field of index.json
 const REPO_METADATA_FILENAME = "repo-metadata.json";
 
+// Recorded in the root catalog.json so the app knows what produced the catalog.
+const GENERATOR_VERSION = "1.1.0";
+
+// Version of the index.json / digest format. Bump on incompatible changes.
+const INDEX_SCHEMA_VERSION = 1;
+
+// Root manifest describing the whole catalog (written at the docs root)
+const CATALOG_MANIFEST_FILENAME = "catalog.json";
+
+// Flat search index over every entity (written at the docs root)
+const SEARCH_INDEX_FILENAME = "search-index.json";
+
+// Catalog-wide list of featured entities (written at the docs root)
+const FEATURED_FILENAME = "featured.json";
+
+// Entities added, updated and removed since the previous build (written at the docs root)
+const CHANGES_FILENAME = "changes.json";
+
+// Entities placed directly inside a folder with this name are featured
+const FEATURED_FOLDER_NAME = "Featured";
+
+// Size and SHA-256 of every generated file (written at the docs root), and its detached signature
+const INTEGRITY_MANIFEST_FILENAME = "integrity.json";
+const INTEGRITY_SIGNATURE_FILENAME = "integrity.sig.json";
+
+// Entity files whose SHA-256 is referenced from the entity's index item
+const ENTITY_JSON_FILES = ["entity.json", "entity+deps.json"];
+
 /**
  * Load the user-supplied configuration from "config.json".
  * Exits the script if not found or if there's a parsing error.
@@ -63,28 +185,626 @@ function loadConfig() {
   }
 }
 
-// Read the configuration
-const configData = loadConfig();
+//------------------------------------
+// Settings
+//------------------------------------
+// Assigned by configure(), from config.json and the command-line flags (CLI) or from
+// the options given to generateCatalog() (programmatic use).
 
-// Pull out the key config fields. Convert the paths to absolute paths.
-// The source and target folder names come from config.json;
-// we conceptually refer to them as "repository/" and "docs/",
-// but they can be any valid directory paths.
-const SOURCE_DIR = path.resolve(__dirname, configData.sourceDir);
-const TARGET_DIR = path.resolve(__dirname, configData.targetDir);
+// The source and target folders, as absolute paths. We conceptually refer to
+// them as "repository/" and "docs/", but they can be any valid directory paths.
+let SOURCE_DIR;
+let TARGET_DIR;
 
 // This baseUrl is used to build the `downloadURL` and to rewrite references
 // to images/audio as remote URLs.
-const BASE_URL = configData.baseUrl || "";
+let BASE_URL;
+
+// "absolute" (default): generated URLs start with baseUrl.
+// "relative": generated URLs are catalog-relative paths ("Persons/Nova/person.png"),
+// resolved by the client against the catalog root, so one docs tree can be served
+// from any host. See catalogUrl().
+let URL_MODE;
+
+// Other base URLs serving the same docs tree, listed in catalog.json
+let MIRRORS;
+
+// Incremental mode re-processes only the sources whose content hash changed.
+// `--clean` always wins, so a full rebuild remains available on demand.
+let INCREMENTAL;
+
+// Source paths (relative to sourceDir) changed since the previous build, as reported by
+// watch mode. An incremental build then trusts the cache for every other source instead
+// of hashing and reading it again (see sourceMayHaveChanged). null: check every source.
+let CHANGED_PATHS;
+
+// Watch mode hands the changed paths to each child build in this environment variable
+const CHANGED_PATHS_ENV = "GENERATE_INDEX_CHANGED_PATHS";
+
+// The build cache lives next to (not inside) the target folder so it is never published.
+let BUILD_CACHE_PATH;
+
+// In strict dependency mode the build fails if any Program references a
+// dependency that is missing from its package.
+let STRICT_DEPENDENCIES;
+
+// How Program dependencies missing from the package but published elsewhere in the
+// catalog are referenced from entity+deps.json:
+//   "link"   → listed with their URL under `catalogDependencies` (default)
+//   "inline" → the published entity.json is copied into `dependencies`
+//   "off"    → not resolved from the catalog at all
+let CATALOG_DEPENDENCIES;
+
+// Preview build (`--include-drafts`): drafts and entities outside their
+// publishAt/expireAt window are published too, for testing with local-server.
+let INCLUDE_DRAFTS;
+
+// Languages to write locale-specific "index.<lang>.json" files for (e.g. ["en", "ja"]),
+// using the `localized` names, descriptions and banners from repo-metadata.json
+let LOCALES;
+
+// Ed25519 keys (PEM files) used to sign integrity.json and to verify it
+let SIGNING_KEY_PATH;
+let VERIFY_KEY_PATH;
+
+// Image and audio files an entity may embed or reference
+const MEDIA_EXTENSIONS = new Set([
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".heic",
+  ".m4a", ".mp3", ".aac", ".wav", ".caf", ".aif", ".aiff", ".ogg", ".flac",
+]);
+
+// Packages dropped into the repository may come from anyone, so extraction is
+// limited (see extractZipSafely). `zipLimits` overrides any of DEFAULT_ZIP_LIMITS.
+const DEFAULT_ZIP_LIMITS = {
+  maxEntries: 2000,
+  maxFileBytes: 100 * 1024 * 1024,
+  maxTotalBytes: 500 * 1024 * 1024,
+  allowedExtensions: [".json", ...MEDIA_EXTENSIONS],
+};
+let ZIP_LIMITS;
+
+// Every build is written into this sibling folder first and only published once it
+// has fully succeeded, so a crash never leaves the live docs half-built.
+let STAGING_DIR;
+
+// A successful build is renamed into targetDir. The output it replaces is moved into
+// `backupDir` (outside the published tree) as "<targetDir name>.gen-<timestamp>" for
+// rollback; `keepGenerations` (default 1) controls how many are retained.
+let BACKUP_DIR;
+let KEEP_GENERATIONS;
+let GENERATION_PREFIX;
+
+// "quiet" (warnings and errors only), "normal" or "verbose" (also every file written)
+let LOG_LEVEL;
+
+// Strict mode (`--strict`): any warning fails the build, except these categories
+let STRICT;
+const STRICT_EXEMPT_CATEGORIES = ["preview-build"];
+
+// `--whats-new-draft`: pre-fill draft sections in the repository's whats-new.json
+// from the changes of every successful build (see writeWhatsNewDraft)
+let WHATS_NEW_DRAFT;
+
+// Where the JSON build report is written (see writeBuildReport); next to targetDir
+// by default, so it is never published
+let BUILD_REPORT_PATH;
+
+// Loaded plugins (see loadPlugins) and the entity types they and the config
+// declare on top of the built-in ones (see loadEntityTypes)
+let PLUGINS = [];
+let ENTITY_TYPES;
+
+// Bump whenever the output format changes so stale caches are discarded.
+const BUILD_CACHE_VERSION = 7;
+
+// Per-entity publishing flags live in a sidecar file next to the entity source,
+// e.g. "MyShow.publish.json" for "MyShow.zip"
+const PUBLISH_SIDECAR_SUFFIX = ".publish.json";
+
+// Watch mode (`--watch`): changes are collected for this long before a rebuild
+// starts, so saving many files at once (or copying a folder in) triggers a single build.
+const WATCH_DEBOUNCE_MS = 500;
+
+//------------------------------------
+// Build state
+//------------------------------------
+// Filled during a build and emptied by resetBuildState() before the next one.
+
+// Programs with unresolved dependencies found during this build: [{ path, missing }]
+const incompletePrograms = [];
+
+// Programs with dependencies resolved from the catalog: [{ outputDir, linked }]
+const catalogLinkedPrograms = [];
+
+// Every entity index item published by this build, plus the source-relative
+// folder it was listed in and its source file/folder name:
+// [{ name, path, digest, …, folder, sourceName }]
+const publishedEntities = [];
+
+// Index of every folder built by recurseAndBuildAllIndexes(), written by
+// writeFolderIndexes() once all entity files are final: [{ targetDir, index }]
+const folderIndexes = [];
+
+// Source path of every index item (entities and subfolders), used to match
+// the item against references in repo-metadata.json
+const sourcePathByItem = new WeakMap();
+
+// Zip packages refused by extractZipSafely() during this build: [{ path, problems }]
+const rejectedPackages = [];
+
+// Every warning and error of this build (see warn), written to the build report:
+// [{ level, category, message, source, entityType }]
+const buildProblems = [];
+
+/**
+ * Apply the generator settings. `options` has the keys of config.json (sourceDir,
+ * targetDir, baseUrl, urlMode, …) plus the build switches that are flags on the
+ * command line: `incremental`, `clean`, `strictDependencies`, `includeDrafts`,
+ * `strict` and `logLevel` ("quiet", "normal" or "verbose"), and `changedPaths`
+ * (see CHANGED_PATHS).
+ * Relative paths are resolved against `options.baseDir` (default: the working directory).
+ * Throws if the options are unusable; never exits the process.
+ */
+function configure(options = {}) {
+  if (typeof options.sourceDir !== "string" || typeof options.targetDir !== "string") {
+    throw new Error("sourceDir and targetDir are required.");
+  }
+  const baseDir = options.baseDir || process.cwd();
+
+  SOURCE_DIR = path.resolve(baseDir, options.sourceDir);
+  TARGET_DIR = path.resolve(baseDir, options.targetDir);
+  BASE_URL = options.baseUrl || "";
+  URL_MODE = options.urlMode === "relative" ? "relative" : "absolute";
+  MIRRORS = Array.isArray(options.mirrors)
+    ? options.mirrors.filter((url) => typeof url === "string" && url)
+    : [];
+  INCREMENTAL = !options.clean && options.incremental === true;
+  CHANGED_PATHS = Array.isArray(options.changedPaths)
+    ? options.changedPaths.map((rel) => String(rel).split(path.sep).join("/"))
+    : null;
+  BUILD_CACHE_PATH = path.join(
+    path.dirname(TARGET_DIR),
+    `.${path.basename(TARGET_DIR)}-build-cache.json`
+  );
+  STRICT_DEPENDENCIES = options.strictDependencies === true;
+  CATALOG_DEPENDENCIES = ["link", "inline", "off"].includes(options.catalogDependencies)
+    ? options.catalogDependencies
+    : "link";
+  INCLUDE_DRAFTS = options.includeDrafts === true;
+  LOCALES = Array.isArray(options.locales)
+    ? options.locales.filter((code) => typeof code === "string" && /^[A-Za-z0-9-]+$/.test(code))
+    : [];
+  SIGNING_KEY_PATH = options.signingKey ? path.resolve(baseDir, options.signingKey) : null;
+  VERIFY_KEY_PATH = options.verifyKey ? path.resolve(baseDir, options.verifyKey) : null;
+  ZIP_LIMITS = { ...DEFAULT_ZIP_LIMITS, ...(options.zipLimits || {}) };
+  STAGING_DIR = `${TARGET_DIR}.staging`;
+  KEEP_GENERATIONS = Number.isInteger(options.keepGenerations)
+    ? Math.max(0, options.keepGenerations)
+    : 1;
+  BACKUP_DIR = path.resolve(baseDir, options.backupDir || ".generations");
+  GENERATION_PREFIX = `${path.basename(TARGET_DIR)}.gen-`;
+  LOG_LEVEL = ["quiet", "verbose"].includes(options.logLevel) ? options.logLevel : "normal";
+  STRICT = options.strict === true;
+  WHATS_NEW_DRAFT = options.whatsNewDraft === true;
+  BUILD_REPORT_PATH = options.buildReport
+    ? path.resolve(baseDir, options.buildReport)
+    : `${TARGET_DIR}.build-report.json`;
+  PLUGINS = loadPlugins(options.plugins, baseDir);
+  ENTITY_TYPES = loadEntityTypes(
+    options.entityTypes,
+    PLUGINS.flatMap((plugin) =>
+      (plugin.hooks.entityTypes || []).map((entry) => ({ plugin: plugin.name, entry }))
+    )
+  );
+}
+
+/**
+ * Empty the state collected by a previous build in this process.
+ */
+function resetBuildState() {
+  for (const list of [incompletePrograms, catalogLinkedPrograms, publishedEntities, folderIndexes, rejectedPackages, buildProblems]) {
+    list.length = 0;
+  }
+  synthesizedIds.clear();
+  catalogIdIndex.clear();
+  plannedEntityFolders.clear();
+  buildCache.previous = {};
+  buildCache.next = {};
+  buildCache.previousScan = {};
+  buildCache.nextScan = {};
+}
+
+/**
+ * Print progress information, unless in quiet mode.
+ */
+function log(...args) {
+  if (LOG_LEVEL !== "quiet") console.log(...args);
+}
+
+/**
+ * Print per-file details, only in verbose mode.
+ */
+function debug(...args) {
+  if (LOG_LEVEL === "verbose") console.log(...args);
+}
+
+/**
+ * Record a warning or error for the build report without printing it. Returns false
+ * if the same problem was already recorded (sources may be read more than once).
+ *
+ * @param {"warning"|"error"} level
+ * @param {string} category   Kind of problem, e.g. "missing-banner" or "invalid-media".
+ * @param {string} message
+ * @param {object} [context]  { source, entityType }: the source path (see sourceLabel)
+ *                            and entity type the problem belongs to, when known.
+ */
+function recordProblem(level, category, message, context = {}) {
+  const problem = {
+    level,
+    category,
+    message,
+    source: context.source || undefined,
+    entityType: context.entityType || undefined,
+  };
+  const duplicate = buildProblems.some(
+    (other) =>
+      other.level === level && other.category === category && other.message === message && other.source === problem.source
+  );
+  if (duplicate) return false;
+  buildProblems.push(problem);
+  return true;
+}
+
+/**
+ * Record a warning (see recordProblem) and print it. Warnings fail the build in strict mode.
+ */
+function warn(category, message, context = {}) {
+  if (!recordProblem("warning", category, message, context)) return;
+  console.warn(`Warning: ${message}` + (context.source ? ` (${context.source})` : ""));
+}
+
+/**
+ * Path of a source file as shown in warnings: relative to sourceDir when inside it.
+ */
+function sourceLabel(absPath) {
+  const rel = path.relative(SOURCE_DIR, absPath);
+  return rel.startsWith("..") || path.isAbsolute(rel) ? absPath : rel.split(path.sep).join("/");
+}
+
+//------------------------------------
+// Entity type registry
+//------------------------------------
+
+/**
+ * Built-in entity types. Each entry describes:
+ *   type:          the entity type, used as `digest.entityType`
+ *   folders:       repository folder patterns holding this type (see entityTypeForPath)
+ *   packageFolder: dependency folder inside exported packages ("person/<id>/entity.json")
+ *   dependencyKey: key of this type's list under `dependencies` in entity+deps.json
+ *   imageFile:     file name of an extracted embedded image
+ *   imageStorage:  "imageSource" (spec.imageSource) or "extraData"
+ *                  (a JSON string in spec.extraData.data.imageSourceJson)
+ *   audioKeys:     `spec` arrays whose elements may carry embedded audio
+ *   digest:        parser building the index digest from `spec` (built-in types only)
+ *   digestFields:  extra `spec` fields copied into the digest
+ */
+const BUILT_IN_ENTITY_TYPES = [
+  {
+    type: "Person",
+    folders: ["Persons"],
+    packageFolder: "person",
+    dependencyKey: "persons",
+    imageFile: "person.png",
+    imageStorage: "imageSource",
+    digest: parsePersonDigest,
+  },
+  {
+    type: "Feed",
+    folders: ["Feeds"],
+    packageFolder: "feed",
+    dependencyKey: "feeds",
+    imageFile: "feed.png",
+    imageStorage: "imageSource",
+    digest: parseFeedDigest,
+  },
+  {
+    type: "SoundSet",
+    folders: ["SoundSets"],
+    packageFolder: "soundset",
+    dependencyKey: "soundSets",
+    imageFile: "soundset.png",
+    imageStorage: "imageSource",
+    audioKeys: ["openingBGM", "talkBGM", "newsBGM", "endingBGM", "jingleBGM"],
+    digest: parseSoundSetDigest,
+  },
+  {
+    type: "SoundElement",
+    folders: [],
+    packageFolder: "soundElement",
+    dependencyKey: "soundElements",
+    imageFile: "entity.png",
+    imageStorage: "imageSource",
+  },
+  {
+    type: "GenerativeAi",
+    folders: ["GenerativeAis"],
+    packageFolder: "generativeAi",
+    dependencyKey: "generativeAis",
+    imageFile: "generativeai.png",
+    imageStorage: "extraData",
+    digest: parseGenerativeAiDigest,
+  },
+  {
+    type: "PageContent",
+    folders: ["PageContents"],
+    packageFolder: "pageContent",
+    dependencyKey: "pageContents",
+    imageFile: "pagecontent.png",
+    imageStorage: "extraData",
+    digest: parsePageContentDigest,
+  },
+  {
+    type: "ApiContent",
+    folders: ["ApiContents"],
+    packageFolder: "apiContent",
+    dependencyKey: "apiContents",
+    imageFile: "apicontent.png",
+    imageStorage: "extraData",
+    digest: parseApiContentDigest,
+  },
+  {
+    type: "Program",
+    folders: ["Programs"],
+    imageFile: "program.png",
+    imageStorage: "imageSource",
+    digest: parseProgramDigest,
+  },
+  {
+    type: "Broadcast",
+    folders: ["Broadcasts"],
+    imageFile: "broadcast.png",
+    imageStorage: "imageSource",
+    digest: parseBroadcastDigest,
+  },
+  {
+    type: "Catalog",
+    folders: ["Catalogs"],
+    imageFile: "catalog.png",
+    imageStorage: "extraData",
+    digest: parseCatalogDigest,
+  },
+];
+
+/**
+ * Merge the entity types declared by plugins, then the `entityTypes` list of
+ * config.json, into the built-in types. An entry with the `type` of a known type
+ * overrides the given properties (e.g. `folders`); any other entry declares a new
+ * entity type. Only plugins can provide a `digest` parser, since config.json is JSON.
+ * Throws if a list is malformed.
+ */
+function loadEntityTypes(configured, pluginEntries = []) {
+  const types = BUILT_IN_ENTITY_TYPES.map((def) => ({ ...def }));
+  if (configured !== undefined && !Array.isArray(configured)) {
+    throw new Error("entityTypes in config.json must be an array.");
+  }
+  const declared = [
+    ...pluginEntries.map(({ plugin, entry }) => ({ origin: `plugin ${plugin}`, entry })),
+    ...(configured || []).map((entry) => ({ origin: "config.json", entry })),
+  ];
+  for (const { origin, entry } of declared) {
+    if (!entry || typeof entry.type !== "string" || !entry.type) {
+      throw new Error(`every entityTypes entry in ${origin} needs a \`type\`: ${JSON.stringify(entry)}`);
+    }
+    if (entry.imageStorage && !["imageSource", "extraData"].includes(entry.imageStorage)) {
+      throw new Error(`entityTypes "${entry.type}" (${origin}): imageStorage must be "imageSource" or "extraData".`);
+    }
+    if (origin === "config.json") {
+      // Digest parsers cannot come from JSON; new types use digestFields
+      const { digest: _digest, ...fields } = entry;
+      Object.assign(upsertEntityType(types, entry.type), fields);
+    } else {
+      Object.assign(upsertEntityType(types, entry.type), entry);
+    }
+  }
+  return types;
+}
+
+/**
+ * Return the definition of `type` in `types`, adding a new one with the
+ * defaults of a declared type if it does not exist yet.
+ */
+function upsertEntityType(types, type) {
+  let def = types.find((existing) => existing.type === type);
+  if (!def) {
+    def = { type, folders: [], imageFile: "entity.png", imageStorage: "imageSource" };
+    types.push(def);
+  }
+  return def;
+}
+
+// ---------------------------------------------------------------------------
+// Plugins
+// ---------------------------------------------------------------------------
+
+/**
+ * Hooks a plugin may implement (all optional, called in config order):
+ *   buildStart(ctx)                 before the scan; ctx.writeFile writes into the docs root
+ *   beforeEntity(json, ctx)         before embedded media is extracted from an entity JSON
+ *   afterEntity(json, ctx)          after media references were rewritten, before it is written;
+ *                                   ctx.writeFile writes into the entity's output folder
+ *   digest(digest, json, ctx)       add fields to the index digest of an entity
+ *   folderIndex(index, ctx)         add or change entries of a folder's index.json
+ *   buildFinish(ctx)                after every index, before integrity.json is written
+ * The entity hooks may modify `json` in place or return a replacement object.
+ * A plugin can also declare `entityTypes` (same shape as in config.json, plus an
+ * optional `digest(spec, src)` parser).
+ */
+const PLUGIN_HOOKS = ["buildStart", "beforeEntity", "afterEntity", "digest", "folderIndex", "buildFinish"];
+
+/**
+ * Load the modules listed in the `plugins` array of config.json. An entry is a
+ * module path (relative to `baseDir`, i.e. config.json, or a package name) or
+ * `{ "module": "...", "options": { ... } }`. A module exports its hooks, or a
+ * function called with the options that returns them. Programmatic callers may
+ * also pass a hooks object directly.
+ * Throws if a plugin cannot be loaded.
+ */
+function loadPlugins(configured, baseDir) {
+  if (configured === undefined) return [];
+  if (!Array.isArray(configured)) {
+    throw new Error("plugins in config.json must be an array.");
+  }
+  return configured.map((entry) => {
+    if (entry && typeof entry === "object" && entry.module === undefined) {
+      return checkPluginHooks({ name: entry.name || "(inline plugin)", file: null, options: {}, hooks: entry });
+    }
+    const spec = typeof entry === "string" ? entry : entry && entry.module;
+    const options = (entry && entry.options) || {};
+    if (typeof spec !== "string" || !spec) {
+      throw new Error(`every plugins entry in config.json needs a module path: ${JSON.stringify(entry)}`);
+    }
+    let file;
+    let hooks;
+    try {
+      file = require.resolve(spec.startsWith(".") ? path.resolve(baseDir, spec) : spec, {
+        paths: [baseDir],
+      });
+      const exported = require(file);
+      hooks = typeof exported === "function" ? exported(options) : exported;
+    } catch (err) {
+      throw new Error(`cannot load plugin ${spec}: ${err.message}`);
+    }
+    if (!hooks || typeof hooks !== "object") {
+      throw new Error(`plugin ${spec} must export an object of hooks or a function returning one.`);
+    }
+    return checkPluginHooks({ name: hooks.name || spec, file, options, hooks });
+  });
+}
+
+/**
+ * Throw unless every hook a plugin defines is a function; returns the plugin.
+ */
+function checkPluginHooks(plugin) {
+  for (const hook of PLUGIN_HOOKS) {
+    if (plugin.hooks[hook] !== undefined && typeof plugin.hooks[hook] !== "function") {
+      throw new Error(`plugin ${plugin.name}: ${hook} must be a function.`);
+    }
+  }
+  return plugin;
+}
+
+/**
+ * Call `hook` of every plugin in turn. For hooks that transform a value (the first
+ * argument), a returned object replaces it for the next plugin; the final value is
+ * returned. A failing plugin fails the build, naming the plugin.
+ */
+function runPluginHook(hook, value, ...args) {
+  for (const plugin of PLUGINS) {
+    if (!plugin.hooks[hook]) continue;
+    let result;
+    try {
+      result = plugin.hooks[hook](value, ...args);
+    } catch (err) {
+      throw new Error(`Plugin ${plugin.name} failed in ${hook}: ${err.message}`);
+    }
+    if (result && typeof result === "object" && result !== value) {
+      value = result;
+    }
+  }
+  return value;
+}
+
+/**
+ * Build a `writeFile(relPath, data)` helper for plugins, writing under `baseDir`.
+ * Objects are written as JSON, strings and Buffers as-is. Paths escaping `baseDir`
+ * are rejected.
+ */
+function pluginFileWriter(baseDir) {
+  return (relPath, data) => {
+    const target = path.resolve(baseDir, relPath);
+    if (target !== baseDir && !target.startsWith(baseDir + path.sep)) {
+      throw new Error(`Plugin file path escapes the output folder: ${relPath}`);
+    }
+    ensureDirExists(path.dirname(target));
+    if (Buffer.isBuffer(data) || typeof data === "string") {
+      replaceFile(target, data);
+    } else {
+      writeJsonFile(target, data);
+    }
+    return target;
+  };
+}
+
+/**
+ * Context passed to the buildStart / buildFinish hooks.
+ */
+function pluginBuildContext() {
+  return {
+    sourceDir: SOURCE_DIR,
+    outputDir: STAGING_DIR,
+    baseUrl: BASE_URL,
+    urlMode: URL_MODE,
+    incremental: INCREMENTAL,
+    includeDrafts: INCLUDE_DRAFTS,
+    locales: LOCALES,
+    catalogUrl,
+    writeFile: pluginFileWriter(STAGING_DIR),
+  };
+}
+
+/**
+ * Extract the embedded media of an entity JSON (see extractEmbeddedMediaAndRewrite),
+ * running the beforeEntity / afterEntity plugin hooks around it.
+ * Returns the JSON to write, which a plugin may have replaced.
+ * `mediaTypeDef` decides how media is extracted when it differs from the entity's
+ * own type (dependencies inside a package follow the package, see
+ * recursivelyRewriteEntityFolder).
+ */
+function rewriteEntityJson(
+  json,
+  entitySubfolder,
+  typeDef,
+  rawRelativePath,
+  isDependency = false,
+  mediaTypeDef = typeDef
+) {
+  const ctx = {
+    entityType: typeDef ? typeDef.type : "Unknown",
+    path: rawRelativePath,
+    isDependency,
+    outputDir: entitySubfolder,
+    catalogUrl,
+    writeFile: pluginFileWriter(entitySubfolder),
+  };
+  const prepared = runPluginHook("beforeEntity", json, ctx);
+  extractEmbeddedMediaAndRewrite(prepared, entitySubfolder, mediaTypeDef, rawRelativePath);
+  return runPluginHook("afterEntity", prepared, ctx);
+}
 
 /**
  * Generate a random UUID (version 4).
- * Used when we need a unique ID for newly-extracted audio elements, if none is present.
+ * Only used as a last resort, when there is no source to derive a stable id from.
  */
 function generateUUID() {
-  const bytes = crypto.randomBytes(16);
-  // set version bits to 4
-  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  return formatUUID(crypto.randomBytes(16), 0x40);
+}
+
+/**
+ * Derive a stable, name-based UUID (version 5 layout) from a seed string,
+ * e.g. the entity's source path. The same seed always yields the same id,
+ * so rebuilding identical input produces identical output.
+ */
+function uuidFromSeed(seed) {
+  const bytes = crypto.createHash("sha1").update(seed).digest().subarray(0, 16);
+  return formatUUID(bytes, 0x50);
+}
+
+/**
+ * Format 16 bytes as a UUID string, stamping the given version nibble.
+ */
+function formatUUID(bytes, versionBits) {
+  // set version bits
+  bytes[6] = (bytes[6] & 0x0f) | versionBits;
   // set variant bits to (10)
   bytes[8] = (bytes[8] & 0x3f) | 0x80;
 
@@ -100,30 +820,166 @@ function generateUUID() {
 
 /**
  * Convert a date/time string or numeric timestamp to a Unix epoch in seconds.
- * Returns the current time if parsing fails or if input is null/undefined.
+ * Returns `fallbackSeconds` (typically the source file's mtime) if parsing fails
+ * or if input is null/undefined, and the current time only if there is no fallback.
  */
-function toUnixEpochSeconds(dateVal) {
+function toUnixEpochSeconds(dateVal, fallbackSeconds) {
+  const fallback = () =>
+    fallbackSeconds !== undefined ? fallbackSeconds : Math.floor(Date.now() / 1000);
   if (!dateVal) {
-    return Math.floor(Date.now() / 1000);
+    return fallback();
   }
   if (typeof dateVal === "number") {
     return dateVal;
   }
   const parsed = Date.parse(dateVal);
   if (isNaN(parsed)) {
-    return Math.floor(Date.now() / 1000);
+    return fallback();
   }
   return Math.floor(parsed / 1000);
 }
 
 /**
- * Completely removes the target folder before regenerating its contents.
+ * Locale-independent string comparison, so sort order never depends on the
+ * machine running the build.
+ */
+function compareNames(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * JSON.stringify with object keys sorted recursively (arrays keep their order),
+ * so identical data always serializes to identical bytes.
+ */
+function stringifyStable(value, indent = 2) {
+  return JSON.stringify(
+    value,
+    (key, val) => {
+      if (!val || typeof val !== "object" || Array.isArray(val)) return val;
+      const sorted = {};
+      for (const k of Object.keys(val).sort(compareNames)) sorted[k] = val[k];
+      return sorted;
+    },
+    indent
+  );
+}
+
+/**
+ * Write a generated file by replacing it rather than writing into it. An incremental
+ * build starts from hard links to the live output (see linkOutputTree), so writing
+ * into an existing file would change the published copy too.
+ */
+function replaceFile(filePath, data) {
+  fs.rmSync(filePath, { force: true });
+  fs.writeFileSync(filePath, data);
+}
+
+/**
+ * Write a generated JSON file (pretty-printed unless `indent` is 0, with stable key order).
+ */
+function writeJsonFile(filePath, value, indent = 2) {
+  replaceFile(filePath, stringifyStable(value, indent));
+}
+
+/**
+ * Where an entity comes from, used to derive stable fallbacks for its digest:
+ *   { key: <source path relative to sourceDir>, mtime: <seconds> }
+ */
+function entitySourceInfo(sourcePath, mtimeSeconds) {
+  return {
+    key: cacheKeyFor(sourcePath),
+    mtime:
+      mtimeSeconds !== undefined
+        ? mtimeSeconds
+        : Math.floor(fs.statSync(sourcePath).mtimeMs / 1000),
+  };
+}
+
+// Zip entries store an MS-DOS date/time without a timezone. The catalog reads
+// and writes it as UTC so that builds do not depend on the machine's TZ.
+// DOS timestamps cannot go below 1980.
+const DOS_EPOCH_SECONDS = 315532800;
+
+/** Seconds since the Unix epoch for a packed DOS date/time (high word: date). */
+function dosTimeToUnixSeconds(timeval) {
+  const ms = Date.UTC(
+    ((timeval >>> 25) & 0x7f) + 1980,
+    Math.max(((timeval >>> 21) & 0x0f) - 1, 0),
+    Math.max((timeval >>> 16) & 0x1f, 1),
+    (timeval >>> 11) & 0x1f,
+    (timeval >>> 5) & 0x3f,
+    (timeval & 0x1f) << 1
+  );
+  return Math.floor(ms / 1000);
+}
+
+/** Packed DOS date/time for seconds since the Unix epoch (clamped to 1980). */
+function unixSecondsToDosTime(seconds) {
+  const date = new Date(Math.max(seconds || 0, DOS_EPOCH_SECONDS) * 1000);
+  const day = ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate();
+  const time = (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1);
+  return ((day << 16) | time) >>> 0;
+}
+
+/**
+ * Modification time (seconds) of an entry inside a zip, falling back to the
+ * zip file's own mtime if the entry cannot be found.
+ */
+function zipEntryMtimeSeconds(zip, entryName, zipPath) {
+  const entry = zip.getEntry(entryName);
+  if (entry && entry.header && typeof entry.header.timeval === "number") {
+    return dosTimeToUnixSeconds(entry.header.timeval);
+  }
+  return Math.floor(fs.statSync(zipPath).mtimeMs / 1000);
+}
+
+// Entities whose digest needed a synthesized id: source key → id
+const synthesizedIds = new Map();
+
+/**
+ * Stable id for an entity without `spec.id`, derived from its source path.
+ * Every such entity is reported at the end of the build.
+ */
+function synthesizeEntityId(source = {}) {
+  if (!source.key) return generateUUID();
+  if (!synthesizedIds.has(source.key)) {
+    synthesizedIds.set(source.key, uuidFromSeed(`entity:${source.key}`));
+  }
+  return synthesizedIds.get(source.key);
+}
+
+/**
+ * Completely removes a generated folder (staging output, old generation, …).
  * This ensures a clean slate for each run.
  */
 function clearDocsFolder(dir) {
   if (fs.existsSync(dir)) {
     fs.rmSync(dir, { recursive: true, force: true });
-    console.log(`Removed existing folder: ${dir}`);
+    debug(`Removed existing folder: ${dir}`);
+  }
+}
+
+/**
+ * Temporary folders (unzipped packages) created during this run.
+ * They are all removed by cleanupTempDirs(), whether the build succeeds or fails.
+ */
+const tempDirs = [];
+
+/**
+ * Create a "pkg-*" folder in the OS temp directory and remember it for cleanup.
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pkg-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Remove every temporary folder created by makeTempDir().
+ */
+function cleanupTempDirs() {
+  while (tempDirs.length) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
   }
 }
 
@@ -142,6 +998,7 @@ function ensureDirExists(dirPath) {
  */
 function copyFile(sourcePath, targetPath) {
   ensureDirExists(path.dirname(targetPath));
+  fs.rmSync(targetPath, { force: true }); // may be a hard link to the live output
   fs.copyFileSync(sourcePath, targetPath);
 }
 
@@ -153,88 +1010,1997 @@ function parseJsonFile(filePath) {
     const content = fs.readFileSync(filePath, "utf-8");
     return JSON.parse(content);
   } catch (e) {
-    console.warn("Failed to parse JSON:", filePath, e);
+    warn("invalid-json", `Failed to parse JSON: ${e.message}`, { source: sourceLabel(filePath) });
     return null;
   }
 }
 
 /**
- * Replace all spaces in a string with dashes for file system safety.
- * Used to create sanitized folder or file names derived from entity names or file names.
+ * Replace all spaces in a string with dashes for file system safety.
+ * Used to create sanitized folder or file names derived from entity names or file names.
+ */
+function sanitizeForFilesystem(name) {
+  return name.replace(/\s+/g, "-");
+}
+
+/**
+ * Sanitize every segment of a relative path ("Foo Bar/Baz.json" → "Foo-Bar/Baz").
+ */
+function sanitizeWholePath(relPath = "") {
+  return relPath
+    .split(/[\\/]/)
+    .map(sanitizeForFilesystem)
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Build the URL of a published file from its catalog-relative POSIX path.
+ * Every URL the generator writes goes through here:
+ *   "absolute" urlMode → "http://localhost:3000/Persons/Nova/person.png"
+ *   "relative" urlMode → "Persons/Nova/person.png"
+ */
+function catalogUrl(relPath) {
+  return URL_MODE === "relative" ? relPath : `${BASE_URL}/${relPath}`;
+}
+
+/**
+ * Turn "repo/Art/banner.png" into "http://localhost:3000/repo/Art/banner.png".
+ */
+function absoluteBannerUrl(relativeFolder, bannerFile) {
+  if (!bannerFile) return null;
+  return catalogUrl(path.posix.join(sanitizeWholePath(relativeFolder), bannerFile));
+}
+
+/**
+ * Removes the trailing ".json" extension from a string, if present (case-insensitive).
+ */
+function stripJsonExtension(filePath) {
+  return filePath.replace(/\.json$/i, "");
+}
+
+/**
+ * True for repository entries that are never published as items:
+ * hidden/system files, index.json, the special whats-new.json and repo-metadata.json.
+ */
+function isIgnoredSourceEntry(name) {
+  return (
+    name.startsWith(".") ||
+    name === "index.json" ||
+    name === "whats-new.json" ||
+    name === REPO_METADATA_FILENAME ||
+    name.endsWith(PUBLISH_SIDECAR_SUFFIX)
+  );
+}
+
+/**
+ * Reads `repo-metadata.json` in the given directory (if present) and returns it as an object,
+ * or null if it doesn't exist or fails to parse.
+ * This metadata (if present) is placed into the "info" field in the local index.json.
+ */
+function readRepoMetadata(dirPath) {
+  const metaPath = path.join(dirPath, REPO_METADATA_FILENAME);
+  if (fs.existsSync(metaPath)) {
+    const metadata = parseJsonFile(metaPath);
+    if (metadata) {
+      return metadata;
+    }
+  }
+  return null;
+}
+
+/**
+ * Path of the file holding the publishing flags of a source: repo-metadata.json for a
+ * plain folder, otherwise a sidecar next to the entity. "MyShow.zip", "MyShow.json"
+ * and the entity folder "MyShow/" all use "MyShow.publish.json".
+ */
+function publishFlagsPath(sourcePath, isDirectory) {
+  if (isDirectory && !fs.existsSync(path.join(sourcePath, "entity.json"))) {
+    return path.join(sourcePath, REPO_METADATA_FILENAME);
+  }
+  const base = path.basename(sourcePath);
+  const stem = isDirectory ? base : base.slice(0, base.length - path.extname(base).length);
+  return path.join(path.dirname(sourcePath), stem + PUBLISH_SIDECAR_SUFFIX);
+}
+
+/**
+ * Read the publishing flags of a source (see publishFlagsPath), or null if there are none.
+ */
+function readPublishFlags(sourcePath, isDirectory) {
+  const flagsPath = publishFlagsPath(sourcePath, isDirectory);
+  return fs.existsSync(flagsPath) ? parseJsonFile(flagsPath) : null;
+}
+
+/**
+ * Decide how a source is published by this build, from the `draft`, `hidden`,
+ * `publishAt` and `expireAt` publishing flags:
+ *   "published" → built and listed
+ *   "hidden"    → built (reachable by URL) but left out of index.json, search and featured
+ *   "draft"     → not built at all; also used outside the publishAt/expireAt window
+ * A `--include-drafts` preview build publishes drafts as well; hidden stays hidden.
+ */
+function publicationState(sourcePath, isDirectory) {
+  const flags = readPublishFlags(sourcePath, isDirectory);
+  if (!flags) return "published";
+
+  const now = Math.floor(Date.now() / 1000);
+  const publishAt = flags.publishAt ? toUnixEpochSeconds(flags.publishAt, null) : null;
+  const expireAt = flags.expireAt ? toUnixEpochSeconds(flags.expireAt, null) : null;
+  const unpublished =
+    flags.draft === true ||
+    (publishAt !== null && publishAt > now) ||
+    (expireAt !== null && expireAt <= now);
+
+  if (unpublished && !INCLUDE_DRAFTS) return "draft";
+  return flags.hidden === true ? "hidden" : "published";
+}
+
+/**
+ * Check the publishing flags of a source for `validate`.
+ * Returns a list of { jsonPath, message } problems.
+ */
+function validatePublishFlags(flags) {
+  const problems = [];
+  if (!flags) return problems;
+  for (const key of ["draft", "hidden"]) {
+    if (flags[key] !== undefined && typeof flags[key] !== "boolean") {
+      problems.push({ jsonPath: `$.${key}`, message: "expected boolean" });
+    }
+  }
+  for (const key of ["publishAt", "expireAt"]) {
+    if (flags[key] !== undefined && toUnixEpochSeconds(flags[key], null) === null) {
+      problems.push({ jsonPath: `$.${key}`, message: "expected a date or Unix timestamp" });
+    }
+  }
+  return problems;
+}
+
+//------------------------------------
+// Incremental build cache
+//------------------------------------
+
+/**
+ * State of the build cache for the current run.
+ * - previous: entries loaded from the last run (keyed by source path relative to sourceDir)
+ * - next:     entries recorded during this run; written back when the build finishes
+ *
+ * Each entry has the shape { hash, sourceHash, outputs: [paths relative to the output root], item }:
+ * `hash` also covers the extra input of processEntityCached(), `sourceHash` only the source.
+ * - previousScan / nextScan: what buildCatalogIdIndex() read from each entity source
+ */
+const buildCache = {
+  previous: {},
+  next: {},
+  previousScan: {},
+  nextScan: {},
+};
+
+/**
+ * Convert an absolute source path into the cache key (POSIX path relative to sourceDir).
+ */
+function cacheKeyFor(sourcePath) {
+  return path.relative(SOURCE_DIR, sourcePath).split(path.sep).join("/");
+}
+
+/**
+ * Feed a file's content into the given hash in fixed-size chunks,
+ * so large zips with embedded audio are never loaded into memory at once.
+ */
+function updateHashWithFile(hash, filePath) {
+  const fd = fs.openSync(filePath, "r");
+  const chunk = Buffer.alloc(1024 * 1024);
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.subarray(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Hex SHA-256 of a single file.
+ */
+function sha256OfFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  updateHashWithFile(hash, filePath);
+  return hash.digest("hex");
+}
+
+/**
+ * Compute a SHA-256 over a source file, or over every file (names and contents)
+ * inside a source folder, visited in sorted order.
+ */
+function hashSourcePath(sourcePath) {
+  const hash = crypto.createHash("sha256");
+  (function visit(absPath, relPath) {
+    const stats = fs.statSync(absPath);
+    if (stats.isDirectory()) {
+      const names = fs.readdirSync(absPath).sort(compareNames);
+      for (const name of names) {
+        visit(path.join(absPath, name), relPath ? `${relPath}/${name}` : name);
+      }
+    } else {
+      hash.update(`${relPath}\0`);
+      updateHashWithFile(hash, absPath);
+    }
+  })(sourcePath, "");
+  return hash.digest("hex");
+}
+
+/**
+ * Fingerprint of every config value that affects the generated output.
+ * If it changes, the whole cache is discarded.
+ */
+function configFingerprint() {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        version: BUILD_CACHE_VERSION,
+        // baseUrl does not appear in the output in relative mode
+        baseUrl: URL_MODE === "absolute" ? BASE_URL : null,
+        urlMode: URL_MODE,
+        catalogDependencies: CATALOG_DEPENDENCIES,
+        includeDrafts: INCLUDE_DRAFTS,
+        entityTypes: ENTITY_TYPES,
+        locales: LOCALES,
+        zipLimits: ZIP_LIMITS,
+        // Plugin code and options change the output as much as config does
+        plugins: PLUGINS.map((plugin) => ({
+          name: plugin.name,
+          // Inline plugins (generateCatalog) have no file; hash their hook sources instead
+          sha256: plugin.file
+            ? sha256OfFile(plugin.file)
+            : crypto.createHash("sha256").update(PLUGIN_HOOKS.map((hook) => String(plugin.hooks[hook])).join("\n")).digest("hex"),
+          options: plugin.options,
+        })),
+      })
+    )
+    .digest("hex");
+}
+
+/**
+ * Load the previous build cache. Returns false if there is no usable cache
+ * (missing, unreadable, produced by another version or with other config).
+ */
+function loadBuildCache() {
+  if (!fs.existsSync(BUILD_CACHE_PATH) || !fs.existsSync(TARGET_DIR)) {
+    return false;
+  }
+  const cache = parseJsonFile(BUILD_CACHE_PATH);
+  if (!cache || cache.fingerprint !== configFingerprint() || !cache.entries) {
+    log("Build cache is stale, doing a full rebuild.");
+    return false;
+  }
+  buildCache.previous = cache.entries;
+  buildCache.previousScan = cache.scanned || {};
+  return true;
+}
+
+/**
+ * Persist the entries recorded during this run for the next incremental build.
+ */
+function saveBuildCache() {
+  const cache = {
+    fingerprint: configFingerprint(),
+    entries: buildCache.next,
+    scanned: buildCache.nextScan,
+  };
+  fs.writeFileSync(BUILD_CACHE_PATH, JSON.stringify(cache, null, 2), "utf-8");
+  log("Saved build cache:", BUILD_CACHE_PATH);
+}
+
+/**
+ * Delete generated outputs (paths relative to the staging folder), then remove any
+ * folders left empty by the deletion.
+ */
+function removeOutputs(outputs) {
+  for (const rel of outputs) {
+    const abs = path.join(STAGING_DIR, rel);
+    fs.rmSync(abs, { recursive: true, force: true });
+
+    let dir = path.dirname(abs);
+    while (dir.startsWith(STAGING_DIR + path.sep) && fs.existsSync(dir)) {
+      if (fs.readdirSync(dir).length > 0) break;
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+}
+
+/**
+ * Whether the source `key` (see cacheKeyFor) may differ from the previous build.
+ * Always true, unless changedPaths limits the build (watch mode) and no changed path
+ * is the source itself, a file inside it or a folder holding it.
+ */
+function sourceMayHaveChanged(key) {
+  if (!CHANGED_PATHS || !INCREMENTAL) return true;
+  return CHANGED_PATHS.some((rel) => rel === key || rel.startsWith(`${key}/`) || key.startsWith(`${rel}/`));
+}
+
+/**
+ * Remove the outputs of every source recorded in the previous build that no
+ * longer exists. Runs before the scan so a renamed source can reuse the output path.
+ */
+function pruneDeletedSources() {
+  for (const [key, entry] of Object.entries(buildCache.previous)) {
+    if (!fs.existsSync(path.join(SOURCE_DIR, key))) {
+      removeOutputs(entry.outputs || []);
+      log("Removed outputs of deleted source:", key);
+    }
+  }
+}
+
+/**
+ * Remove the outputs of every source built by the previous run but not by this one,
+ * e.g. an entity that became a draft or whose expireAt passed. Runs after the scan;
+ * outputs claimed by a source built in this run are kept.
+ */
+function pruneUnpublishedOutputs() {
+  const claimed = new Set();
+  for (const entry of Object.values(buildCache.next)) {
+    for (const rel of entry.outputs || []) claimed.add(rel);
+  }
+  for (const [key, entry] of Object.entries(buildCache.previous)) {
+    if (buildCache.next[key] || !fs.existsSync(path.join(SOURCE_DIR, key))) continue;
+    removeOutputs((entry.outputs || []).filter((rel) => !claimed.has(rel)));
+    log("Removed outputs of unpublished source:", key);
+  }
+}
+
+/**
+ * Run `processFn` for an entity source only if its content hash changed since
+ * the previous build; otherwise reuse the index item recorded in the cache.
+ * Outputs of a changed entity are removed first, since its folder name may change.
+ *
+ * @param {string}   sourcePath       Zip, JSON file or entity folder in the repository.
+ * @param {string}   parentTargetDir  Output folder that receives the entity subfolder.
+ * @param {Function} processFn        Produces the index item (or null on failure).
+ * @param {string}   [extraHashInput] Anything else the output depends on (mixed into the hash).
+ * @returns {object|null}             The index item for the entity.
+ */
+function processEntityCached(sourcePath, parentTargetDir, processFn, extraHashInput = "") {
+  const key = cacheKeyFor(sourcePath);
+  const cached = buildCache.previous[key];
+  const sourceHash =
+    cached && cached.sourceHash && !sourceMayHaveChanged(key) ? cached.sourceHash : hashSourcePath(sourcePath);
+  const hash = extraHashInput
+    ? crypto.createHash("sha256").update(sourceHash + extraHashInput).digest("hex")
+    : sourceHash;
+
+  if (
+    cached &&
+    cached.hash === hash &&
+    cached.item &&
+    cached.outputs.every((rel) => fs.existsSync(path.join(STAGING_DIR, rel)))
+  ) {
+    buildCache.next[key] = cached;
+    sourcePathByItem.set(cached.item, sourcePath);
+    if (cached.item.digest && cached.item.digest.id === uuidFromSeed(`entity:${key}`)) {
+      synthesizedIds.set(key, cached.item.digest.id); // still reported at the end of the build
+    }
+    debug("Unchanged, reusing previous output:", key);
+    return cached.item;
+  }
+  if (cached) {
+    removeOutputs(cached.outputs || []);
+  }
+
+  let item = processFn();
+  if (item) {
+    // Every processor writes the entity into <parentTargetDir>/<last segment of item.path>
+    const outputDir = path.join(parentTargetDir, path.posix.basename(item.path));
+    const pkg = writeEntityPackage(item, outputDir);
+    item = { ...item, packageURL: pkg.url, packageSize: pkg.size, packageSha256: pkg.sha256 };
+    sourcePathByItem.set(item, sourcePath);
+    buildCache.next[key] = {
+      hash,
+      sourceHash,
+      outputs: [path.relative(STAGING_DIR, outputDir), path.relative(STAGING_DIR, pkg.file)],
+      item,
+    };
+  }
+  return item;
+}
+
+/**
+ * Turn remote references into an entity folder back into package-local ones
+ * (`{ kind: "remote", url: "<prefix>person.png" }` → `{ kind: "local", url: "person.png" }`),
+ * including the JSON strings in `imageSourceJson`. Other URLs are left as they are.
+ *
+ * @param {*}      value   Any JSON value; objects & arrays are traversed.
+ * @param {string} prefix  URL of the folder holding the entity.json, with a trailing "/".
+ * @returns {*}            The converted copy.
+ */
+function localizePackageRefs(value, prefix) {
+  if (Array.isArray(value)) {
+    return value.map((item) => localizePackageRefs(item, prefix));
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (value.kind === "remote" && typeof value.url === "string" && value.url.startsWith(prefix)) {
+    return { ...value, kind: "local", url: value.url.slice(prefix.length) };
+  }
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === "imageSourceJson" && typeof child === "string") {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(child);
+      } catch {
+        // left as it is
+      }
+      result[key] = parsed ? JSON.stringify(localizePackageRefs(parsed, prefix)) : child;
+    } else {
+      result[key] = localizePackageRefs(child, prefix);
+    }
+  }
+  return result;
+}
+
+/**
+ * Write a normalized, importable package next to an entity's output folder
+ * ("Persons/Nova" → "Persons/Nova.zip"). Every file of the folder goes under a root
+ * folder named after the type's package folder ("person/entity.json",
+ * "person/person.png", "program/person/<id>/entity.json", …), with the entity.json
+ * files pointing at the bundled media again (see localizePackageRefs).
+ * entity+deps.json is a catalog-only aggregate and is left out. Entries carry the
+ * entity's lastModified, so an unchanged entity always yields the same bytes.
+ *
+ * @param {object} item       The entity index item (path + digest).
+ * @param {string} outputDir  The entity's output folder in the staging tree.
+ * @returns {{ file: string, url: string, size: number, sha256: string }}
+ */
+function writeEntityPackage(item, outputDir) {
+  const typeDef = ENTITY_TYPES.find((def) => def.type === item.digest.entityType);
+  const type = typeDef ? typeDef.type : "entity";
+  const rootFolder = (typeDef && typeDef.packageFolder) || type.charAt(0).toLowerCase() + type.slice(1);
+  const folderRel = sanitizeWholePath(item.path);
+  const timeval = unixSecondsToDosTime(item.digest.lastModified);
+
+  const zip = new AdmZip();
+  for (const rel of listPublishedFiles(outputDir)) {
+    const name = path.posix.basename(rel);
+    if (name === "entity+deps.json") continue;
+    let data = fs.readFileSync(path.join(outputDir, rel));
+    if (name === "entity.json") {
+      // URLs in entity.json are built from the (sanitized) folder path
+      const jsonDir = path.posix.dirname(rel) === "." ? folderRel : `${folderRel}/${path.posix.dirname(rel)}`;
+      const json = parseJsonFile(path.join(outputDir, rel));
+      if (json) {
+        data = Buffer.from(stringifyStable(localizePackageRefs(json, catalogUrl(`${jsonDir}/`))), "utf-8");
+      }
+    }
+    const entryName = `${rootFolder}/${rel}`;
+    zip.addFile(entryName, data);
+    zip.getEntry(entryName).header.timeval = timeval;
+  }
+
+  const file = `${outputDir}.zip`;
+  replaceFile(file, zip.toBuffer());
+  debug("Wrote entity package:", file);
+  return {
+    file,
+    url: catalogUrl(`${folderRel}.zip`),
+    size: fs.statSync(file).size,
+    sha256: sha256OfFile(file),
+  };
+}
+
+/**
+ * Copy a plain file and record it in the build cache, so it is removed
+ * from the output once its source is deleted. A file that cannot have changed
+ * (see sourceMayHaveChanged) keeps the copy reused from the previous output.
+ */
+function copyFileCached(sourcePath, targetPath) {
+  const key = cacheKeyFor(sourcePath);
+  const rel = path.relative(STAGING_DIR, targetPath);
+  const cached = buildCache.previous[key];
+  const reusable =
+    cached && cached.outputs && cached.outputs[0] === rel && !sourceMayHaveChanged(key) && fs.existsSync(targetPath);
+  if (!reusable) {
+    copyFile(sourcePath, targetPath);
+  }
+  buildCache.next[key] = { outputs: [rel] };
+}
+
+/**
+ * Build the catalog:
+ * 1) Validate the source directory existence.
+ * 2) Prepare a fresh staging folder (or hard links to the live output for an incremental build).
+ * 3) Recursively scan the source directory and build indexes/files in the staging folder.
+ * 4) Rename the staging folder into targetDir, keeping the previous output in
+ *    backupDir for rollback.
+ * 5) Save the build cache for the next incremental run.
+ *
+ * If anything fails, the staging folder is discarded and targetDir is left untouched.
+ * Temporary "pkg-*" folders are removed in every case.
+ *
+ * This is the programmatic entry point; `node generate-index.js` is a thin wrapper
+ * around it (see runCli). It never exits the process: invalid options throw, and
+ * build failures are reported in the result.
+ *
+ * @param {object} options  The keys of config.json plus `incremental`, `clean`,
+ *                          `strictDependencies`, `strict`, `includeDrafts` (see configure).
+ * @returns {{ ok: boolean, outputDir: string, incremental: boolean, reportPath: string,
+ *             entities: Array<{ path, entityType, id, name }>,
+ *             changes: { added, updated, removed } | null,
+ *             warnings: object[], errors: object[], rejectedPackages: Array<{ path, problems }>,
+ *             incompletePrograms: Array<{ path, missing }> }}
+ *          `incremental` tells whether unchanged outputs of the previous build were reused;
+ *          `warnings` and `errors` are build report problems (see writeBuildReport);
+ *          `changes` counts the entities of changes.json (see writeChangeLog).
+ */
+function generateCatalog(options) {
+  configure(options);
+  return buildCatalog();
+}
+
+/**
+ * Build the catalog with the current settings (see generateCatalog).
+ */
+function buildCatalog() {
+  resetBuildState();
+  const startedAt = new Date();
+  if (!fs.existsSync(SOURCE_DIR)) {
+    const message = `sourceDir (repository) not found: ${SOURCE_DIR}`;
+    console.error("Error:", message);
+    recordProblem("error", "build", message);
+    return buildResult(false, false, writeBuildReport({ ok: false, incremental: false, startedAt, typeStats: {} }));
+  }
+
+  if (INCLUDE_DRAFTS) {
+    // A preview build is requested on purpose, so this never fails strict mode
+    warn("preview-build", "Preview build: drafts and unscheduled entities are included. Do not deploy this output.");
+  }
+
+  let ok = true;
+  let usedCache = false;
+  let typeStats = {};
+  let changes = null;
+  try {
+    // Leftovers of a crashed run are never reused
+    clearDocsFolder(STAGING_DIR);
+
+    if (INCREMENTAL && loadBuildCache()) {
+      usedCache = true;
+      log("Incremental build: reusing previous output from", TARGET_DIR);
+      linkOutputTree(TARGET_DIR, STAGING_DIR);
+      pruneDeletedSources();
+    }
+    ensureDirExists(STAGING_DIR);
+    runPluginHook("buildStart", pluginBuildContext());
+
+    // ---------------------------------------------------------------
+    // If a "whats-new.json" exists at the root of the repository,
+    // copy it to the *root* of the generated docs folder (minus its drafts).
+    // ---------------------------------------------------------------
+    const whatsNewSrc = path.join(SOURCE_DIR, "whats-new.json");
+    if (fs.existsSync(whatsNewSrc)) {
+      copyWhatsNew(whatsNewSrc, path.join(STAGING_DIR, "whats-new.json"));
+    }
+
+    buildCatalogIdIndex();
+    if (usedCache) {
+      dropMovedOutputs();
+    }
+    const rootIndex = recurseAndBuildAllIndexes(SOURCE_DIR, STAGING_DIR);
+    if (INCREMENTAL) {
+      pruneUnpublishedOutputs();
+    }
+
+    if (CATALOG_DEPENDENCIES === "inline") {
+      inlineCatalogDependencies(catalogLinkedPrograms);
+    }
+    writeFolderIndexes();
+
+    if (synthesizedIds.size) {
+      const sorted = [...synthesizedIds].sort((x, y) => compareNames(x[0], y[0]));
+      for (const [key, id] of sorted) {
+        recordProblem("warning", "synthesized-id", `No spec.id; using the synthesized stable id ${id}`, {
+          source: key,
+        });
+      }
+      printWarningGroup(
+        "Entities without spec.id got synthesized stable ids:",
+        sorted.map(([key, id]) => `${key} → ${id}`)
+      );
+    }
+
+    // Recorded when they were rejected (see extractZipSafely)
+    if (rejectedPackages.length) {
+      printWarningGroup(
+        `${rejectedPackages.length} package(s) were rejected and not published:`,
+        rejectedPackages.flatMap((rejected) => [
+          rejected.path,
+          ...rejected.problems.map((problem) => `  ${problem}`),
+        ])
+      );
+    }
+
+    if (incompletePrograms.length) {
+      for (const program of incompletePrograms) {
+        const refs = program.missing.map((ref) => `${ref.kind}/${ref.id}`).join(", ");
+        recordProblem("warning", "missing-dependency", `Missing dependencies: ${refs}`, {
+          source: program.path,
+          entityType: "Program",
+        });
+      }
+      printWarningGroup(
+        `${incompletePrograms.length} Program(s) have missing dependencies:`,
+        incompletePrograms.map(
+          (program) => `${program.path}: ${program.missing.map((ref) => `${ref.kind}/${ref.id}`).join(", ")}`
+        )
+      );
+      if (STRICT_DEPENDENCIES) {
+        throw new Error("Missing Program dependencies (strict dependency mode)");
+      }
+    }
+
+    writeCatalogManifest(rootIndex, startedAt);
+    writeSearchIndex();
+    writeFeaturedIndex();
+    changes = writeChangeLog();
+    runPluginHook("buildFinish", pluginBuildContext());
+    writeIntegrityManifest();
+
+    typeStats = collectTypeStats();
+    const warningCount = buildProblems.filter(
+      (problem) => problem.level === "warning" && !STRICT_EXEMPT_CATEGORIES.includes(problem.category)
+    ).length;
+    if (STRICT && warningCount) {
+      throw new Error(`${warningCount} warning(s) in strict mode`);
+    }
+
+    swapStagingIntoPlace();
+    saveBuildCache();
+    if (WHATS_NEW_DRAFT) {
+      writeWhatsNewDraft(changes);
+    }
+  } catch (err) {
+    console.error("Build failed, keeping the previous output in place:", err);
+    clearDocsFolder(STAGING_DIR);
+    ok = false;
+    recordProblem("error", "build", err.message);
+  } finally {
+    cleanupTempDirs();
+  }
+
+  const reportPath = writeBuildReport({ ok, incremental: usedCache, startedAt, typeStats });
+  printBuildSummary(typeStats, reportPath);
+  return buildResult(ok, usedCache, reportPath, changes);
+}
+
+/**
+ * The value returned by generateCatalog() for the build that just ran.
+ */
+function buildResult(ok, incremental, reportPath, changes = null) {
+  return {
+    ok,
+    outputDir: TARGET_DIR,
+    incremental,
+    reportPath,
+    entities: publishedEntities.map((item) => ({
+      path: item.path,
+      entityType: item.digest.entityType,
+      id: item.digest.id,
+      name: item.name,
+    })),
+    changes: ok && changes ? changes.counts : null,
+    warnings: buildProblems.filter((problem) => problem.level === "warning"),
+    errors: buildProblems.filter((problem) => problem.level === "error"),
+    rejectedPackages: [...rejectedPackages],
+    incompletePrograms: [...incompletePrograms],
+  };
+}
+
+/**
+ * Print a heading and its indented lines as one warning block (the individual
+ * warnings are recorded separately).
+ */
+function printWarningGroup(heading, lines) {
+  console.warn([heading, ...lines.map((line) => `  ${line}`)].join("\n"));
+}
+
+/**
+ * Total size in bytes of every file below a folder.
+ */
+function directoryBytes(dirAbs) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+    const abs = path.join(dirAbs, entry.name);
+    total += entry.isDirectory() ? directoryBytes(abs) : fs.statSync(abs).size;
+  }
+  return total;
+}
+
+/**
+ * Count the published entities and the bytes written for them (entity folder plus
+ * package zip) per entity type, from the staging folder:
+ *   { Person: { entities: 2, bytes: 48213 }, … }
+ */
+function collectTypeStats() {
+  const stats = {};
+  for (const item of publishedEntities) {
+    const type = item.digest.entityType;
+    const entry = stats[type] || (stats[type] = { entities: 0, bytes: 0 });
+    const dirAbs = path.join(STAGING_DIR, sanitizeWholePath(item.path));
+    entry.entities++;
+    entry.bytes += (fs.existsSync(dirAbs) ? directoryBytes(dirAbs) : 0) + (item.packageSize || 0);
+  }
+  return stats;
+}
+
+/**
+ * Write the JSON build report to BUILD_REPORT_PATH, successful or not:
+ *   {
+ *     "ok": true, "strict": false, "incremental": true, "preview": false,
+ *     "startedAt": "…", "finishedAt": "…", "durationMs": 1234,
+ *     "counts": { "entities": 7, "warnings": 2, "errors": 0, "byCategory": { "missing-banner": 1, … } },
+ *     "types": { "Person": { "entities": 2, "bytes": 48213 }, … },
+ *     "problems": [{ "level": "warning", "category": "missing-banner", "message": "…",
+ *                    "source": "Persons/repo-metadata.json", "entityType": undefined }, …]
+ *   }
+ * Returns the report path, or null if it could not be written.
+ */
+function writeBuildReport({ ok, incremental, startedAt, typeStats }) {
+  const byCategory = {};
+  for (const problem of buildProblems) {
+    byCategory[problem.category] = (byCategory[problem.category] || 0) + 1;
+  }
+  const finishedAt = new Date();
+  const report = {
+    generator: { name: "generate-index.js", version: GENERATOR_VERSION },
+    ok,
+    strict: STRICT,
+    incremental,
+    preview: INCLUDE_DRAFTS,
+    sourceDir: SOURCE_DIR,
+    targetDir: TARGET_DIR,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    counts: {
+      entities: Object.values(typeStats).reduce((sum, stat) => sum + stat.entities, 0),
+      warnings: buildProblems.filter((problem) => problem.level === "warning").length,
+      errors: buildProblems.filter((problem) => problem.level === "error").length,
+      byCategory,
+    },
+    types: typeStats,
+    problems: buildProblems,
+  };
+  try {
+    ensureDirExists(path.dirname(BUILD_REPORT_PATH));
+    fs.writeFileSync(BUILD_REPORT_PATH, JSON.stringify(report, null, 2), "utf-8");
+    return BUILD_REPORT_PATH;
+  } catch (err) {
+    console.error("Could not write the build report:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Human-readable size, e.g. "48.2 KB".
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Print the per-type counts and sizes of the build and its warning / error counts.
+ */
+function printBuildSummary(typeStats, reportPath) {
+  const types = Object.keys(typeStats).sort(compareNames);
+  const row = (label, entities, bytes) =>
+    `  ${label.padEnd(14)}${String(entities).padStart(5)} ${entities === 1 ? "entity  " : "entities"}${formatBytes(bytes).padStart(12)}`;
+  const lines = types.map((type) => row(type, typeStats[type].entities, typeStats[type].bytes));
+  if (types.length) {
+    lines.push(
+      row(
+        "Total",
+        types.reduce((sum, type) => sum + typeStats[type].entities, 0),
+        types.reduce((sum, type) => sum + typeStats[type].bytes, 0)
+      )
+    );
+  }
+  const warnings = buildProblems.filter((problem) => problem.level === "warning").length;
+  const errors = buildProblems.length - warnings;
+  lines.push(`  ${warnings} warning(s), ${errors} error(s)` + (reportPath ? `; report: ${reportPath}` : ""));
+  log(["Build summary:", ...lines].join("\n"));
+}
+
+
+/**
+ * Command-line entry point: read config.json and the command-line flags, then run
+ * the requested command (build by default). Sets the exit code on failure.
+ */
+function runCli() {
+  // Command-line flags (e.g. `node generate-index.js --incremental`)
+  const flags = new Set(process.argv.slice(2));
+
+  // Non-flag arguments: an optional command, e.g. `node generate-index.js validate`,
+  // followed by its arguments. Without a command, the catalog is built.
+  const args = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+  const command = args[0] || "build";
+
+  const configData = loadConfig();
+  try {
+    configure({
+      ...configData,
+      baseDir: __dirname,
+      incremental: flags.has("--incremental") || configData.incremental === true,
+      clean: flags.has("--clean"),
+      strictDependencies: flags.has("--strict-dependencies") || configData.strictDependencies === true,
+      includeDrafts: flags.has("--include-drafts"),
+      strict: flags.has("--strict") || configData.strict === true,
+      whatsNewDraft: flags.has("--whats-new-draft") || configData.whatsNewDraft === true,
+      logLevel: flags.has("--quiet") ? "quiet" : flags.has("--verbose") ? "verbose" : configData.logLevel,
+      // Set by watch mode for its child builds
+      changedPaths: process.env[CHANGED_PATHS_ENV] ? JSON.parse(process.env[CHANGED_PATHS_ENV]) : undefined,
+    });
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+
+  if (command === "verify") {
+    process.exitCode = verifyDocsTree(path.resolve(args[1] || TARGET_DIR)) ? 0 : 1;
+    return;
+  }
+  if (command === "check") {
+    process.exitCode = checkDocsTree(path.resolve(args[1] || TARGET_DIR)) ? 0 : 1;
+    return;
+  }
+  if (command === "rebase") {
+    process.exitCode = rebaseDocsTree(path.resolve(args[2] || TARGET_DIR), args[1]) ? 0 : 1;
+    return;
+  }
+  if (!fs.existsSync(SOURCE_DIR)) {
+    console.error("Error: sourceDir (repository) not found:", SOURCE_DIR);
+    process.exit(1);
+  }
+  if (command === "validate") {
+    process.exitCode = validateRepository() ? 0 : 1;
+    return;
+  }
+  if (command !== "build") {
+    console.error("Error: unknown command:", command);
+    process.exit(1);
+  }
+  if (flags.has("--rollback")) {
+    rollbackToPreviousGeneration();
+    return;
+  }
+  if (flags.has("--watch")) {
+    watchSourceDir([...flags].filter((flag) => flag !== "--watch"));
+    return;
+  }
+  if (!buildCatalog().ok) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Watch mode: build once, then rebuild incrementally whenever a file in sourceDir
+ * changes (zips, JSON, repo-metadata.json, publishing sidecars, banners, whats-new.json).
+ * Only entities whose sources changed are re-processed (see processEntityCached).
+ *
+ * Every build runs in a child process with `forwardedFlags`, so no state of one build
+ * leaks into the next and a crashing build does not end the watch. Changes arriving
+ * during a build are queued for the next one. local-server.js notices each finished
+ * build and notifies its clients (see its `/events` endpoint).
+ *
+ * Once a build has checked every source, later builds get the changed paths (see
+ * CHANGED_PATHS_ENV) and leave every other source alone. The changes of a failed build
+ * are handed to the next one, since its cache was not saved.
+ */
+function watchSourceDir(forwardedFlags) {
+  const pending = new Set();
+  const unbuilt = new Set(); // changes of failed builds
+  let building = false;
+  let firstBuild = true;
+  let cacheMatchesSources = false; // apart from the pending and unbuilt changes
+  let timer = null;
+
+  const build = () => {
+    if (building) return; // picked up when the running build exits
+    const changed = [...new Set([...unbuilt, ...pending])].sort(compareNames);
+    pending.clear();
+    unbuilt.clear();
+    building = true;
+
+    // Later builds are always incremental, even if the first one was --clean
+    const flags = firstBuild
+      ? forwardedFlags
+      : [...forwardedFlags.filter((flag) => flag !== "--clean"), "--incremental"];
+    firstBuild = false;
+    const limited = cacheMatchesSources;
+    if (changed.length) {
+      log(`[watch] ${changed.length} change(s): ${changed.join(", ")}`);
+    }
+    const child = spawn(process.execPath, [__filename, ...flags], {
+      stdio: "inherit",
+      env: limited ? { ...process.env, [CHANGED_PATHS_ENV]: JSON.stringify(changed) } : process.env,
+    });
+    child.on("exit", (code) => {
+      building = false;
+      if (code === 0) {
+        cacheMatchesSources = true;
+      } else if (limited) {
+        for (const rel of changed) unbuilt.add(rel);
+      }
+      log(
+        code === 0
+          ? "[watch] Build finished, waiting for changes…"
+          : `[watch] Build failed (exit code ${code}), waiting for changes…`
+      );
+      if (pending.size) schedule();
+    });
+  };
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(build, WATCH_DEBOUNCE_MS);
+  };
+
+  watchTree(SOURCE_DIR, (rel) => {
+    // Editor swap files, .DS_Store, .git/…
+    if (rel.split("/").some((segment) => segment.startsWith("."))) return;
+    pending.add(rel);
+    schedule();
+  });
+  log("[watch] Watching", SOURCE_DIR);
+  build();
+}
+
+/**
+ * Call `onChange(relPath)` (POSIX, relative to `root`) for every change below `root`.
+ * Uses one recursive watcher where the platform has them (macOS, Windows, Linux
+ * from Node 20); elsewhere falls back to one watcher per folder, adding watchers
+ * for folders created later. Hidden folders (.git, …) are not watched.
+ */
+function watchTree(root, onChange) {
+  try {
+    fs.watch(root, { recursive: true }, (eventType, filename) => {
+      if (filename) onChange(filename.split(path.sep).join("/"));
+    });
+    return;
+  } catch (err) {
+    if (err.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw err;
+  }
+
+  const watchers = new Map(); // absolute folder path → fs.FSWatcher
+  const unwatchFolder = (dirAbs) => {
+    for (const [dir, watcher] of watchers) {
+      if (dir === dirAbs || dir.startsWith(dirAbs + path.sep)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+  const watchFolder = (dirAbs) => {
+    if (watchers.has(dirAbs)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dirAbs, (eventType, filename) => {
+        if (!filename) return;
+        const abs = path.join(dirAbs, filename);
+        onChange(path.relative(root, abs).split(path.sep).join("/"));
+        if (!fs.existsSync(abs)) {
+          unwatchFolder(abs); // removed or moved away; it may be created again
+        } else if (!filename.startsWith(".") && fs.statSync(abs).isDirectory()) {
+          watchFolder(abs); // a new folder, or one moved in
+        }
+      });
+    } catch (err) {
+      return; // removed in the meantime
+    }
+    // A removed folder's watcher errors on some platforms
+    watcher.on("error", () => unwatchFolder(dirAbs));
+    watchers.set(dirAbs, watcher);
+    for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+      if (entry.isDirectory() && !entry.name.startsWith(".")) {
+        watchFolder(path.join(dirAbs, entry.name));
+      }
+    }
+  };
+  watchFolder(root);
+}
+
+/**
+ * List the kept generations of targetDir in backupDir, oldest first.
+ * Timestamps are ISO-like, so lexical order is chronological order.
+ */
+function listGenerations() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter((name) => name.startsWith(GENERATION_PREFIX))
+    .sort()
+    .map((name) => path.join(BACKUP_DIR, name));
+}
+
+/**
+ * A new, unused generation folder name in backupDir.
+ */
+function newGenerationDir() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const base = path.join(BACKUP_DIR, GENERATION_PREFIX + stamp);
+  let dir = base;
+  for (let n = 2; fs.existsSync(dir); n++) dir = `${base}-${n}`;
+  return dir;
+}
+
+/**
+ * Move a folder, also to another file system (backupDir may be on one): the copy is
+ * made under a temporary name first, so `to` only ever appears complete.
+ */
+function moveFolder(from, to) {
+  ensureDirExists(path.dirname(to));
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    const partial = `${to}.partial`;
+    clearDocsFolder(partial);
+    linkOutputTree(from, partial);
+    fs.renameSync(partial, to);
+    clearDocsFolder(from);
+  }
+}
+
+/**
+ * Earlier versions published targetDir as a symlink to "<targetDir>.gen-<timestamp>"
+ * folders next to it. Turn that back into a plain targetDir folder and move the other
+ * generations into backupDir, so nothing but targetDir is left in the published tree.
+ */
+function migrateSymlinkedTargetDir() {
+  let stat;
+  try {
+    stat = fs.lstatSync(TARGET_DIR);
+  } catch (err) {
+    return;
+  }
+  if (!stat.isSymbolicLink()) return;
+  const live = fs.realpathSync(TARGET_DIR);
+  fs.unlinkSync(TARGET_DIR);
+  fs.renameSync(live, TARGET_DIR);
+  const parent = path.dirname(TARGET_DIR);
+  for (const name of fs.readdirSync(parent).filter((n) => n.startsWith(GENERATION_PREFIX)).sort()) {
+    moveFolder(path.join(parent, name), path.join(BACKUP_DIR, name));
+  }
+  log(`Moved the generations next to ${TARGET_DIR} into ${BACKUP_DIR}`);
+}
+
+/**
+ * Publish the staging folder as targetDir: the current output is renamed aside, the
+ * staging folder renamed into its place, then the previous output is moved into
+ * backupDir as a generation. Generations beyond `keepGenerations` are deleted.
+ * targetDir is missing only between the two renames.
+ */
+function swapStagingIntoPlace() {
+  migrateSymlinkedTargetDir();
+  const previousDir = `${TARGET_DIR}.previous`;
+  clearDocsFolder(previousDir); // left by a crashed run
+  if (fs.existsSync(TARGET_DIR)) {
+    fs.renameSync(TARGET_DIR, previousDir);
+  }
+  fs.renameSync(STAGING_DIR, TARGET_DIR);
+  log(`Published build to: ${TARGET_DIR}`);
+
+  if (fs.existsSync(previousDir)) {
+    if (KEEP_GENERATIONS > 0) {
+      const generationDir = newGenerationDir();
+      moveFolder(previousDir, generationDir);
+      log(`Kept previous output as: ${generationDir}`);
+    } else {
+      clearDocsFolder(previousDir);
+    }
+  }
+  const generations = listGenerations();
+  for (const old of generations.slice(0, Math.max(0, generations.length - KEEP_GENERATIONS))) {
+    clearDocsFolder(old);
+  }
+}
+/**
+ * Recreate the folders of `sourceDir` under `destDir` and hard-link every file, so an
+ * incremental build starts from the live output without copying it. Generated files are
+ * always replaced, never written into (see replaceFile), so the live output stays intact.
+ * Files are copied instead where hard links are not possible (another file system).
+ */
+function linkOutputTree(sourceDir, destDir) {
+  ensureDirExists(destDir);
+  for (const entry of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+    const from = path.join(sourceDir, entry.name);
+    const to = path.join(destDir, entry.name);
+    if (entry.isDirectory()) {
+      linkOutputTree(from, to);
+      continue;
+    }
+    try {
+      fs.linkSync(from, to);
+    } catch (err) {
+      fs.copyFileSync(from, to);
+    }
+  }
+}
+
+/**
+ * The build time in Unix seconds: SOURCE_DATE_EPOCH when it is set (reproducible
+ * builds), otherwise `date` (by default now).
+ */
+function buildTimestamp(date = new Date()) {
+  const sourceDateEpoch = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+  return Number.isNaN(sourceDateEpoch) ? Math.floor(date.getTime() / 1000) : sourceDateEpoch;
+}
+
+/**
+ * Sum the size of every published image and audio file (see MEDIA_EXTENSIONS) in a
+ * folder tree. Entity packages, JSON and other files are not counted.
+ */
+function totalMediaBytes(dirAbs) {
+  let total = 0;
+  for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+    const abs = path.join(dirAbs, entry.name);
+    if (entry.isDirectory()) {
+      total += totalMediaBytes(abs);
+    } else if (MEDIA_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      total += fs.statSync(abs).size;
+    }
+  }
+  return total;
+}
+
+/**
+ * Write the root catalog.json manifest, so the app can learn about the catalog
+ * without crawling every folder:
+ *   {
+ *     generator:     { name, version },
+ *     schemaVersion: INDEX_SCHEMA_VERSION,
+ *     builtAt:       when the build started (seconds), or SOURCE_DATE_EPOCH,
+ *     contentModifiedAt: newest lastModified of any entity (seconds),
+ *     baseUrl,
+ *     urlMode:       "absolute" or "relative" (URLs resolved against the catalog root)
+ *     mirrors:       other base URLs serving the same tree (omitted if none)
+ *     entityCounts:  { Person: 12, Program: 3, … },
+ *     totalEntities,
+ *     mediaBytes:    total size of published images and audio,
+ *     sections:      [{ name, path, description, bannerImage, info }],  // top-level folders
+ *     locales:       languages with an index.<lang>.json in every folder (omitted if none)
+ *     preview:       true in an `--include-drafts` build (omitted otherwise)
+ *   }
+ * Set SOURCE_DATE_EPOCH for an identical manifest from identical input; `contentModifiedAt`
+ * only changes with the content.
+ *
+ * @param {object} rootIndex  The root index ({ info, items }) written by recurseAndBuildAllIndexes().
+ * @param {Date}   startedAt  When the build started.
+ */
+function writeCatalogManifest(rootIndex, startedAt) {
+  const entityCounts = {};
+  let newest = 0;
+  for (const { digest } of publishedEntities) {
+    entityCounts[digest.entityType] = (entityCounts[digest.entityType] || 0) + 1;
+    newest = Math.max(newest, digest.lastModified || 0);
+  }
+
+  const manifest = {
+    generator: { name: "generate-index.js", version: GENERATOR_VERSION },
+    schemaVersion: INDEX_SCHEMA_VERSION,
+    builtAt: buildTimestamp(startedAt),
+    contentModifiedAt: newest,
+    baseUrl: BASE_URL,
+    urlMode: URL_MODE,
+    mirrors: MIRRORS.length ? MIRRORS : undefined,
+    info: rootIndex.info,
+    entityCounts,
+    totalEntities: publishedEntities.length,
+    mediaBytes: totalMediaBytes(STAGING_DIR),
+    sections: rootIndex.items
+      .filter((item) => item.isDirectory)
+      .map(({ isDirectory, ...section }) => section),
+    locales: LOCALES.length ? LOCALES : undefined,
+    preview: INCLUDE_DRAFTS || undefined,
+  };
+
+  const manifestPath = path.join(STAGING_DIR, CATALOG_MANIFEST_FILENAME);
+  writeJsonFile(manifestPath, manifest);
+  log("Created catalog manifest:", manifestPath);
+}
+
+/**
+ * Normalize free text into search tokens: Unicode-normalized, lower-cased,
+ * diacritics removed, split on anything that is not a letter or digit.
+ * local-server.js applies the same normalization to queries.
+ */
+function searchTokens(...texts) {
+  const tokens = new Set();
+  for (const text of texts) {
+    if (typeof text !== "string") continue;
+    const normalized = text
+      .normalize("NFKD")
+      .replace(/\p{M}+/gu, "")
+      .toLowerCase();
+    for (const token of normalized.split(/[^\p{L}\p{N}]+/u)) {
+      if (token) tokens.add(token);
+    }
+  }
+  return [...tokens].sort(compareNames);
+}
+
+/**
+ * Display names of the folders along a source-relative path
+ * ("Persons/Featured" → ["People", "Featured"]), using each folder's
+ * repo-metadata.json name when present.
+ */
+function folderDisplayNames(relFolder) {
+  const names = [];
+  let accum = "";
+  for (const segment of relFolder.split(/[\\/]/).filter(Boolean)) {
+    accum = path.join(accum, segment);
+    const meta = readRepoMetadata(path.join(SOURCE_DIR, accum)) || {};
+    names.push(meta.name || segment);
+  }
+  return names;
+}
+
+/**
+ * Remote URL of a digest's image, or null for bundled / missing images.
+ */
+function digestImageUrl(digest) {
+  const image = digest.imageSource;
+  return image && image.kind === "remote" && image.url ? image.url : null;
+}
+
+/**
+ * Write the flat search index at the docs root, so the whole catalog can be
+ * searched with a single request:
+ *   {
+ *     schemaVersion,
+ *     entries: [{ type, id, name, description, path, imageUrl, lang, folders, tokens }]
+ *   }
+ * `lang` is the language code of Programs (omitted for other entity types).
+ * `tokens` holds the normalized words of the name, description, type, voice
+ * and folder names. The file is written without indentation to keep it small.
+ */
+function writeSearchIndex() {
+  const entries = publishedEntities
+    .map(({ name, path: itemPath, digest, folder }) => {
+      const folders = folderDisplayNames(folder);
+      return {
+        type: digest.entityType,
+        id: digest.id,
+        name: name || digest.name || "",
+        description: digest.description || null,
+        path: itemPath,
+        imageUrl: digestImageUrl(digest),
+        lang: digest.lang ? digest.lang.code : undefined,
+        folders,
+        tokens: searchTokens(
+          name,
+          digest.name,
+          digest.description,
+          digest.entityType,
+          digest.voice,
+          ...folders
+        ),
+      };
+    })
+    .sort((a, b) => compareNames(a.path, b.path));
+
+  const indexPath = path.join(STAGING_DIR, SEARCH_INDEX_FILENAME);
+  writeJsonFile(indexPath, { schemaVersion: INDEX_SCHEMA_VERSION, entries }, 0);
+  log(`Created search index (${entries.length} entries):`, indexPath);
+}
+
+/**
+ * Write featured.json at the docs root: every entity placed *directly* inside
+ * any "Featured" folder, grouped by entity type:
+ *   {
+ *     schemaVersion,
+ *     groups: { Person: [{ name, path, digest, sha256, featuredFolder, featuredUntil? }], … }
+ *   }
+ *
+ * A Featured folder's repo-metadata.json may declare
+ *   "featured": [{ "item": "Bob.zip", "until": "2025-01-31" }, { "item": "<id>" }]
+ * Listed items come first, in that order, the rest follow in name order.
+ * Items whose `until` date has passed at build time (SOURCE_DATE_EPOCH when set)
+ * are left out. A date without a time lasts to the end of that day (UTC).
+ */
+function writeFeaturedIndex() {
+  const now = buildTimestamp();
+  const byFolder = new Map();
+  for (const entity of publishedEntities) {
+    if (path.basename(entity.folder) !== FEATURED_FOLDER_NAME) continue;
+    if (!byFolder.has(entity.folder)) byFolder.set(entity.folder, []);
+    byFolder.get(entity.folder).push(entity);
+  }
+
+  const groups = {};
+  for (const folder of [...byFolder.keys()].sort(compareNames)) {
+    const meta = readRepoMetadata(path.join(SOURCE_DIR, folder)) || {};
+    const declared = Array.isArray(meta.featured) ? meta.featured : [];
+    const rank = (entity) => {
+      const i = declared.findIndex((d) => d && matchesItemRef(entity, entity.sourceName, d.item));
+      return i === -1 ? declared.length : i;
+    };
+    const entities = byFolder
+      .get(folder)
+      .sort((a, b) => rank(a) - rank(b) || compareNames(a.name || "", b.name || ""));
+
+    for (const entity of entities) {
+      const declaration =
+        declared.find((d) => d && matchesItemRef(entity, entity.sourceName, d.item)) || {};
+      let until = declaration.until ? toUnixEpochSeconds(declaration.until, null) : null;
+      if (until !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(declaration.until).trim())) {
+        until += 24 * 60 * 60 - 1;
+      }
+      if (until !== null && until < now) {
+        log("Featured period ended, skipping:", entity.path);
+        continue;
+      }
+      const { folder: _folder, sourceName, ...item } = entity;
+      const type = entity.digest.entityType;
+      (groups[type] = groups[type] || []).push({
+        ...withEntityHashes(item),
+        featuredFolder: sanitizeWholePath(folder),
+        featuredUntil: until === null ? undefined : until,
+      });
+    }
+  }
+
+  const featuredPath = path.join(STAGING_DIR, FEATURED_FILENAME);
+  writeJsonFile(featuredPath, { schemaVersion: INDEX_SCHEMA_VERSION, groups });
+  log("Created featured list:", featuredPath);
+}
+
+/**
+ * Every entity listed in the folder indexes (index.json) of a docs tree, by id:
+ *   Map(id → { entityType, id, name, path, digest, sha256, packageSha256 })
+ * If several entities share an id, the first one by path is kept.
+ */
+function readIndexedEntities(rootDir) {
+  const items = [];
+  (function visit(dirAbs) {
+    for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+      const abs = path.join(dirAbs, entry.name);
+      if (entry.isDirectory()) {
+        visit(abs);
+      } else if (entry.name === "index.json") {
+        const index = parseJsonFile(abs);
+        for (const item of (index && index.items) || []) {
+          if (!item.isDirectory && item.digest && item.digest.id) items.push(item);
+        }
+      }
+    }
+  })(rootDir);
+
+  const entities = new Map();
+  for (const item of items.sort((a, b) => compareNames(a.path, b.path))) {
+    if (entities.has(item.digest.id)) continue;
+    entities.set(item.digest.id, {
+      entityType: item.digest.entityType,
+      id: item.digest.id,
+      name: item.name || item.digest.name || "",
+      path: item.path,
+      digest: item.digest,
+      sha256: item.sha256,
+      packageSha256: item.packageSha256,
+    });
+  }
+  return entities;
+}
+
+/**
+ * Compare the entities of the previous output (targetDir) with the staged ones and
+ * write changes.json at the docs root:
+ *   {
+ *     schemaVersion, builtAt, previousBuiltAt,
+ *     counts: { added, updated, removed },
+ *     types: {
+ *       Person: {
+ *         added:   [{ id, name, path }],
+ *         updated: [{ id, name, path, previousPath?, fields: ["description", …], contentChanged }],
+ *         removed: [{ id, name, path }]
+ *       }, …
+ *     }
+ *   }
+ * Entities are matched by id. `fields` lists the digest fields that differ;
+ * `contentChanged` is true when any file of the entity changed: its JSON files
+ * (see `sha256`) or anything else in its package, such as media (`packageSha256`).
+ * Without a previous output, `previousBuiltAt` is null and every entity is added.
+ *
+ * @returns {object} The written change log.
+ */
+function writeChangeLog() {
+  const hasPrevious = fs.existsSync(path.join(TARGET_DIR, CATALOG_MANIFEST_FILENAME));
+  const previous = hasPrevious ? readIndexedEntities(TARGET_DIR) : new Map();
+  const current = readIndexedEntities(STAGING_DIR);
+  const summary = (entity) => ({ id: entity.id, name: entity.name, path: entity.path });
+
+  const types = {};
+  const counts = { added: 0, updated: 0, removed: 0 };
+  const add = (kind, entityType, entry) => {
+    const group = (types[entityType] = types[entityType] || { added: [], updated: [], removed: [] });
+    group[kind].push(entry);
+    counts[kind]++;
+  };
+
+  for (const entity of current.values()) {
+    const before = previous.get(entity.id);
+    if (!before) {
+      add("added", entity.entityType, summary(entity));
+      continue;
+    }
+    const keys = new Set([...Object.keys(before.digest), ...Object.keys(entity.digest)]);
+    const fields = [...keys]
+      .filter((key) => stringifyStable(before.digest[key]) !== stringifyStable(entity.digest[key]))
+      .sort(compareNames);
+    const contentChanged =
+      stringifyStable(before.sha256) !== stringifyStable(entity.sha256) ||
+      before.packageSha256 !== entity.packageSha256;
+    if (fields.length || contentChanged || before.path !== entity.path) {
+      add("updated", entity.entityType, {
+        ...summary(entity),
+        previousPath: before.path !== entity.path ? before.path : undefined,
+        fields,
+        contentChanged,
+      });
+    }
+  }
+  for (const entity of previous.values()) {
+    if (!current.has(entity.id)) add("removed", entity.entityType, summary(entity));
+  }
+  for (const group of Object.values(types)) {
+    for (const list of Object.values(group)) list.sort((a, b) => compareNames(a.path, b.path));
+  }
+
+  const catalog = parseJsonFile(path.join(STAGING_DIR, CATALOG_MANIFEST_FILENAME)) || {};
+  const previousCatalog = hasPrevious
+    ? parseJsonFile(path.join(TARGET_DIR, CATALOG_MANIFEST_FILENAME)) || {}
+    : {};
+  const changes = {
+    schemaVersion: INDEX_SCHEMA_VERSION,
+    builtAt: catalog.builtAt,
+    previousBuiltAt: hasPrevious ? previousCatalog.builtAt || null : null,
+    counts,
+    types,
+  };
+  const changesPath = path.join(STAGING_DIR, CHANGES_FILENAME);
+  writeJsonFile(changesPath, changes);
+  log(
+    `Created change log (${counts.added} added, ${counts.updated} updated, ${counts.removed} removed):`,
+    changesPath
+  );
+  return changes;
+}
+
+/**
+ * Draft what's-new sections from a change log, one per entity type and kind of change:
+ *   [{ title: "New Persons", body: "Alice Jones, Bob" }, …]
+ */
+function draftWhatsNewSections(changes) {
+  const headings = { added: "New", updated: "Updated", removed: "Removed" };
+  const sections = [];
+  for (const type of Object.keys(changes.types).sort(compareNames)) {
+    for (const kind of Object.keys(headings)) {
+      const names = changes.types[type][kind].map((entity) => entity.name || entity.path);
+      if (names.length) {
+        sections.push({ title: `${headings[kind]} ${type}s`, body: names.join(", ") });
+      }
+    }
+  }
+  return sections;
+}
+
+/**
+ * Pre-fill `draftSections` in the repository's whats-new.json (created if missing)
+ * with the changes of this build, for review in the whats-new.js editor. Drafts of
+ * earlier builds not reviewed yet are kept: names are appended to the section with
+ * the same title. The build never publishes `draftSections` (see copyWhatsNew).
+ */
+function writeWhatsNewDraft(changes) {
+  if (changes.previousBuiltAt === null) {
+    log("No previous build to compare with, skipping the what's-new draft.");
+    return;
+  }
+  const sections = draftWhatsNewSections(changes);
+  if (!sections.length) return;
+
+  const whatsNewPath = path.join(SOURCE_DIR, "whats-new.json");
+  const whatsNew = fs.existsSync(whatsNewPath)
+    ? parseJsonFile(whatsNewPath)
+    : { id: new Date().toISOString().slice(0, 10), title: "", sections: [] };
+  if (!whatsNew || typeof whatsNew !== "object" || Array.isArray(whatsNew)) {
+    warn("whats-new-draft", "Could not add the what's-new draft: not a JSON object", {
+      source: sourceLabel(whatsNewPath),
+    });
+    return;
+  }
+
+  const drafts = Array.isArray(whatsNew.draftSections) ? whatsNew.draftSections : [];
+  for (const section of sections) {
+    const existing = drafts.find((draft) => draft && draft.title === section.title);
+    if (!existing) {
+      drafts.push(section);
+      continue;
+    }
+    const names = existing.body ? existing.body.split(", ") : [];
+    const added = section.body.split(", ").filter((name) => !names.includes(name));
+    existing.body = [...names, ...added].join(", ");
+  }
+  whatsNew.draftSections = drafts;
+  fs.writeFileSync(whatsNewPath, JSON.stringify(whatsNew, null, 2), "utf-8");
+  log(`Added ${sections.length} draft section(s) to ${whatsNewPath}; review them in whats-new.js.`);
+}
+
+/**
+ * Copy the repository's whats-new.json to the docs root, without the
+ * `draftSections` that are still waiting for review (see writeWhatsNewDraft).
+ * Nothing is published while the file holds drafts only.
+ */
+function copyWhatsNew(sourcePath, targetPath) {
+  const whatsNew = parseJsonFile(sourcePath);
+  if (!whatsNew || !Object.prototype.hasOwnProperty.call(whatsNew, "draftSections")) {
+    copyFileCached(sourcePath, targetPath);
+    debug(`Copied whats-new.json → ${targetPath}`);
+    return;
+  }
+  const { draftSections, ...published } = whatsNew;
+  if (!Array.isArray(published.sections) || !published.sections.length) {
+    log("whats-new.json only holds draft sections, not publishing it.");
+    return;
+  }
+  replaceFile(targetPath, JSON.stringify(published, null, 2));
+  buildCache.next[cacheKeyFor(sourcePath)] = { outputs: [path.relative(STAGING_DIR, targetPath)] };
+  debug(`Copied whats-new.json without its ${draftSections.length} draft section(s) → ${targetPath}`);
+}
+
+/**
+ * List every file in a docs tree except the integrity manifest and its signature,
+ * as sorted POSIX paths relative to the root.
+ */
+function listPublishedFiles(rootDir) {
+  const files = [];
+  (function visit(dirAbs, relPath) {
+    for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+      const rel = relPath ? `${relPath}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        visit(path.join(dirAbs, entry.name), rel);
+      } else if (rel !== INTEGRITY_MANIFEST_FILENAME && rel !== INTEGRITY_SIGNATURE_FILENAME) {
+        files.push(rel);
+      }
+    }
+  })(rootDir, "");
+  return files.sort(compareNames);
+}
+
+/**
+ * Write integrity.json at the root of a docs tree (the staging folder by default),
+ * so clients and `verify` can detect tampered or truncated files:
+ *   { schemaVersion, algorithm: "sha256", files: { "<path>": { size, sha256 }, … } }
+ *
+ * With `signingKey` configured, integrity.sig.json holds a detached Ed25519
+ * signature over the exact bytes of integrity.json:
+ *   { algorithm: "ed25519", publicKey: <base64 SPKI DER>, signature: <base64> }
+ * Clients should pin the public key rather than trust the one in this file.
+ */
+function writeIntegrityManifest(rootDir = STAGING_DIR) {
+  const files = {};
+  for (const rel of listPublishedFiles(rootDir)) {
+    const abs = path.join(rootDir, rel);
+    files[rel] = { size: fs.statSync(abs).size, sha256: sha256OfFile(abs) };
+  }
+  const manifestPath = path.join(rootDir, INTEGRITY_MANIFEST_FILENAME);
+  writeJsonFile(manifestPath, { schemaVersion: INDEX_SCHEMA_VERSION, algorithm: "sha256", files });
+  log(`Created integrity manifest (${Object.keys(files).length} files):`, manifestPath);
+
+  // Never leave the signature of a previous build behind
+  const signaturePath = path.join(rootDir, INTEGRITY_SIGNATURE_FILENAME);
+  fs.rmSync(signaturePath, { force: true });
+  if (!SIGNING_KEY_PATH) return;
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(SIGNING_KEY_PATH));
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(`signingKey is not an Ed25519 private key: ${SIGNING_KEY_PATH}`);
+  }
+  const publicKey = crypto.createPublicKey(privateKey);
+  writeJsonFile(signaturePath, {
+    algorithm: "ed25519",
+    publicKey: publicKey.export({ type: "spki", format: "der" }).toString("base64"),
+    signature: crypto.sign(null, fs.readFileSync(manifestPath), privateKey).toString("base64"),
+  });
+  log("Signed integrity manifest:", signaturePath);
+}
+
+/**
+ * The public key `verify` checks signatures with: `verifyKey`, or the public half
+ * of `signingKey`. Null if neither is configured.
+ */
+function loadVerifyKey() {
+  if (VERIFY_KEY_PATH) return crypto.createPublicKey(fs.readFileSync(VERIFY_KEY_PATH));
+  if (SIGNING_KEY_PATH) return crypto.createPublicKey(fs.readFileSync(SIGNING_KEY_PATH));
+  return null;
+}
+
+/**
+ * Check a docs tree against its integrity.json (`verify` command): every listed
+ * file must exist with the recorded size and SHA-256, no unlisted file may exist,
+ * and the signature must match when a key is configured.
+ *
+ * Each problem is printed as "<file>  <message>".
+ *
+ * @param {string} rootDir  The docs tree to check.
+ * @returns {boolean}       true if no problems were found.
+ */
+function verifyDocsTree(rootDir) {
+  const manifestPath = path.join(rootDir, INTEGRITY_MANIFEST_FILENAME);
+  if (!fs.existsSync(manifestPath)) {
+    console.error("Error: no integrity manifest found:", manifestPath);
+    return false;
+  }
+  const manifest = parseJsonFile(manifestPath);
+  if (!manifest || !manifest.files || typeof manifest.files !== "object") {
+    console.error("Error: unreadable integrity manifest:", manifestPath);
+    return false;
+  }
+
+  const report = [];
+  for (const [rel, expected] of Object.entries(manifest.files)) {
+    const abs = path.join(rootDir, rel);
+    if (!fs.existsSync(abs)) {
+      report.push({ file: rel, message: "missing" });
+    } else if (fs.statSync(abs).size !== expected.size) {
+      report.push({ file: rel, message: `size ${fs.statSync(abs).size}, expected ${expected.size}` });
+    } else if (sha256OfFile(abs) !== expected.sha256) {
+      report.push({ file: rel, message: "SHA-256 mismatch" });
+    }
+  }
+  for (const rel of listPublishedFiles(rootDir)) {
+    if (!manifest.files[rel]) report.push({ file: rel, message: "not in the integrity manifest" });
+  }
+
+  const verifyKey = loadVerifyKey();
+  const signaturePath = path.join(rootDir, INTEGRITY_SIGNATURE_FILENAME);
+  const signature = fs.existsSync(signaturePath) ? parseJsonFile(signaturePath) : null;
+  if (verifyKey && !signature) {
+    report.push({ file: INTEGRITY_SIGNATURE_FILENAME, message: "missing (the manifest is not signed)" });
+  } else if (verifyKey) {
+    const valid =
+      typeof signature.signature === "string" &&
+      crypto.verify(
+        null,
+        fs.readFileSync(manifestPath),
+        verifyKey,
+        Buffer.from(signature.signature, "base64")
+      );
+    if (!valid) report.push({ file: INTEGRITY_MANIFEST_FILENAME, message: "invalid signature" });
+  } else if (signature) {
+    console.warn("Signature not checked: configure verifyKey (or signingKey) to check it.");
+  }
+
+  for (const problem of report) {
+    console.error(`${problem.file}  ${problem.message}`);
+  }
+  const count = Object.keys(manifest.files).length;
+  log(`Verified ${count} files: ${report.length} problem(s) found.`);
+  return report.length === 0;
+}
+
+// Fields holding a generated URL (besides `url` of remote sources and catalog links)
+const REBASED_URL_KEYS = new Set(["bannerImage", "bannerImageUrl", "imageUrl", "packageURL"]);
+
+/**
+ * Return a copy of a parsed JSON value with every generated URL moved from
+ * `ctx.oldBase` to `ctx.newBase`. Generated URLs are the `url` of remote
+ * sources and catalog dependency links, the REBASED_URL_KEYS fields and the
+ * same inside `imageSourceJson` strings. Absolute URLs in those places that do
+ * not start with the old base are collected in `ctx.unmatched`.
+ */
+function rebaseJsonValue(value, ctx, inLinks = false) {
+  if (Array.isArray(value)) {
+    return value.map((item) => rebaseJsonValue(item, ctx, inLinks));
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  const rebaseUrl = (url) => {
+    if (url.startsWith(`${ctx.oldBase}/`)) {
+      ctx.rewritten++;
+      return ctx.newBase + url.slice(ctx.oldBase.length);
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) ctx.unmatched.push(url);
+    return url;
+  };
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (typeof child === "string" && key === "imageSourceJson") {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(child);
+      } catch {
+        ctx.unmatched.push(`(unparsable imageSourceJson) ${child}`);
+      }
+      result[key] = parsed ? JSON.stringify(rebaseJsonValue(parsed, ctx)) : child;
+    } else if (
+      typeof child === "string" &&
+      (REBASED_URL_KEYS.has(key) || (key === "url" && (inLinks || value.kind === "remote")))
+    ) {
+      result[key] = rebaseUrl(child);
+    } else {
+      const links = inLinks || key === "catalogDependencies" || key === "linked";
+      result[key] = rebaseJsonValue(child, ctx, links);
+    }
+  }
+  return result;
+}
+
+/**
+ * Move an existing docs tree to a new base URL (`rebase` command) without
+ * re-extracting anything. Every generated JSON file is rewritten with
+ * rebaseJsonValue(); media files are left untouched. The old base is the
+ * `baseUrl` recorded in catalog.json (or config.json's baseUrl).
+ *
+ * Entity files are rewritten first, so index items and featured.json can get
+ * their new SHA-256, then integrity.json is regenerated (and re-signed). A signed
+ * tree is refused without `signingKey`, since it would be left unsigned. Rebasing
+ * targetDir deletes the build cache, whose items still hold the old URLs, and the
+ * generations kept for rollback, so a rollback can never bring the old URLs back.
+ *
+ * @param {string} rootDir  The docs tree to rewrite in place.
+ * @param {string} newBase  The new base URL, e.g. "https://cdn.example.com/docs".
+ * @returns {boolean}       false if nothing could be rebased.
  */
-function sanitizeForFilesystem(name) {
-  return name.replace(/\s+/g, "-");
-}
+function rebaseDocsTree(rootDir, newBase) {
+  if (!/^https?:\/\//i.test(newBase || "")) {
+    console.error("Usage: node generate-index.js rebase <newBaseUrl> [docsDir]");
+    return false;
+  }
+  const manifestPath = path.join(rootDir, CATALOG_MANIFEST_FILENAME);
+  const manifest = fs.existsSync(manifestPath) ? parseJsonFile(manifestPath) : null;
+  if (manifest && manifest.urlMode === "relative") {
+    log("This docs tree uses relative URLs; there is nothing to rebase.");
+    return true;
+  }
+  const oldBase = ((manifest && manifest.baseUrl) || BASE_URL).replace(/\/+$/, "");
+  if (!oldBase) {
+    console.error("Error: cannot tell the current base URL (no baseUrl in catalog.json or config.json).");
+    return false;
+  }
+  if (fs.existsSync(path.join(rootDir, INTEGRITY_SIGNATURE_FILENAME)) && !SIGNING_KEY_PATH) {
+    console.error(
+      `Error: this docs tree is signed (${INTEGRITY_SIGNATURE_FILENAME}); configure signingKey to rebase it.`
+    );
+    return false;
+  }
 
-/**
- * Sanitize every segment of a relative path ("Foo Bar/Baz.json" → "Foo-Bar/Baz").
- */
-function sanitizeWholePath(relPath = "") {
-  return relPath
-    .split(/[\\/]/)
-    .map(sanitizeForFilesystem)
-    .filter(Boolean)
-    .join("/");
+  const ctx = { oldBase, newBase: newBase.replace(/\/+$/, ""), rewritten: 0, unmatched: [] };
+  const indexFiles = [];
+  const entityFiles = [];
+  for (const rel of listPublishedFiles(rootDir)) {
+    const name = path.posix.basename(rel);
+    if (path.extname(name).toLowerCase() !== ".json" || rel === "whats-new.json") continue;
+    // Root files (catalog.json, featured.json, …) list entities like folder indexes do
+    const isIndexFile = /^index(\.[A-Za-z0-9-]+)?\.json$/.test(name) || !rel.includes("/");
+    (isIndexFile ? indexFiles : entityFiles).push(rel);
+  }
+
+  // Parse everything before writing anything, so a bad file leaves the tree unchanged
+  const parsed = new Map();
+  for (const rel of [...entityFiles, ...indexFiles]) {
+    const json = parseJsonFile(path.join(rootDir, rel));
+    if (!json) {
+      console.error("Error: cannot rebase unreadable file:", rel);
+      return false;
+    }
+    parsed.set(rel, json);
+  }
+
+  const rehash = (item) =>
+    item && typeof item === "object" && item.sha256 ? withEntityHashes(item, rootDir) : item;
+  for (const rel of [...entityFiles, ...indexFiles]) {
+    let json = rebaseJsonValue(parsed.get(rel), ctx);
+    if (!entityFiles.includes(rel)) {
+      if (Array.isArray(json.items)) json.items = json.items.map(rehash);
+      if (json.groups) {
+        for (const type of Object.keys(json.groups)) json.groups[type] = json.groups[type].map(rehash);
+      }
+      if (rel === CATALOG_MANIFEST_FILENAME) json.baseUrl = ctx.newBase;
+    }
+    writeJsonFile(path.join(rootDir, rel), json, rel === SEARCH_INDEX_FILENAME ? 0 : 2);
+  }
+  if (fs.existsSync(path.join(rootDir, INTEGRITY_MANIFEST_FILENAME))) {
+    writeIntegrityManifest(rootDir);
+  }
+  if (fs.existsSync(TARGET_DIR) && fs.realpathSync(rootDir) === fs.realpathSync(TARGET_DIR)) {
+    // Cached index items still hold the old URLs; the next build starts from scratch
+    fs.rmSync(BUILD_CACHE_PATH, { force: true });
+    const generations = listGenerations();
+    for (const generation of generations) {
+      clearDocsFolder(generation);
+    }
+    if (generations.length) {
+      log(`Deleted ${generations.length} generation(s) kept for rollback, which still use ${oldBase}.`);
+    }
+  }
+
+  for (const url of [...new Set(ctx.unmatched)].sort(compareNames)) {
+    console.warn(`  not under ${oldBase}: ${url}`);
+  }
+  log(
+    `Rebased ${ctx.rewritten} URL(s) in ${parsed.size} files from ${oldBase} to ${ctx.newBase}` +
+      (ctx.unmatched.length ? `; ${new Set(ctx.unmatched).size} URL(s) left unchanged (listed above).` : ".")
+  );
+  return true;
 }
 
 /**
- * Turn "repo/Art/banner.png" into "http://localhost:3000/repo/Art/banner.png".
+ * Collect the generated references in a parsed JSON value: strings starting with
+ * `${base}/`, or in relative URL mode (`base` null) the catalog-relative paths in the
+ * fields rebaseJsonValue() rewrites. `imageSourceJson` strings are searched too.
+ *   [{ jsonPath: "$.spec.imageSource.url", url }]
+ *
+ * `scope` tracks whether the value sits in catalog dependency links (`inLinks`) or in
+ * folder metadata (`inInfo`), whose `bannerImage` is the repo-metadata.json file name
+ * (the generated URL is `bannerImageUrl`).
  */
-function absoluteBannerUrl(relativeFolder, bannerFile) {
-  if (!bannerFile) return null;
-  return `${BASE_URL}/${path.posix.join(sanitizeWholePath(relativeFolder), bannerFile)}`;
+function collectDocsReferences(value, base, jsonPath = "$", refs = [], scope = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((child, i) => collectDocsReferences(child, base, `${jsonPath}[${i}]`, refs, scope));
+    return refs;
+  }
+  if (!value || typeof value !== "object") {
+    return refs;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${jsonPath}.${key}`;
+    if (typeof child === "string" && key === "imageSourceJson") {
+      let parsed = null;
+      try {
+        parsed = JSON.parse(child);
+      } catch {
+        // not generated by us
+      }
+      if (parsed) collectDocsReferences(parsed, base, childPath, refs);
+    } else if (typeof child === "string") {
+      const isUrlField =
+        (REBASED_URL_KEYS.has(key) && !(scope.inInfo && key === "bannerImage")) ||
+        (key === "url" && (scope.inLinks || value.kind === "remote"));
+      if (base ? child.startsWith(`${base}/`) : isUrlField && !/^[a-z][a-z0-9+.-]*:/i.test(child)) {
+        refs.push({ jsonPath: childPath, url: child });
+      }
+    } else {
+      collectDocsReferences(child, base, childPath, refs, {
+        inLinks: scope.inLinks || key === "catalogDependencies" || key === "linked",
+        inInfo: scope.inInfo || key === "info",
+      });
+    }
+  }
+  return refs;
 }
 
 /**
- * Removes the trailing ".json" extension from a string, if present (case-insensitive).
+ * Resolve a generated reference to a file of the docs tree. Returns the
+ * POSIX path relative to the root, or null if it points outside the tree.
  */
-function stripJsonExtension(filePath) {
-  return filePath.replace(/\.json$/i, "");
+function docsPathForReference(url, base) {
+  let rel = (base ? url.slice(base.length + 1) : url).replace(/[?#].*$/, "");
+  try {
+    rel = decodeURIComponent(rel);
+  } catch {
+    // left encoded
+  }
+  rel = path.posix.normalize(rel);
+  return rel === "." || rel.startsWith("../") || path.posix.isAbsolute(rel) ? null : rel;
 }
 
 /**
- * Reads `repo-metadata.json` in the given directory (if present) and returns it as an object,
- * or null if it doesn't exist or fails to parse.
- * This metadata (if present) is placed into the "info" field in the local index.json.
+ * Check the links of a docs tree (`check` command): every generated reference in
+ * index.json, entity.json, entity+deps.json, the root manifests and `imageSourceJson`
+ * strings must point to an existing file of the tree. Media files (images and audio)
+ * that nothing references are listed separately.
+ *
+ * The base URL is the `baseUrl` recorded in catalog.json (or config.json's baseUrl);
+ * trees built with relative URLs are resolved from their root.
+ *
+ * @param {string} rootDir  The docs tree to check.
+ * @returns {boolean}       false if the tree is missing or has dangling references
+ *                          (orphan media alone do not fail the check).
  */
-function readRepoMetadata(dirPath) {
-  const metaPath = path.join(dirPath, REPO_METADATA_FILENAME);
-  if (fs.existsSync(metaPath)) {
-    const metadata = parseJsonFile(metaPath);
-    if (metadata) {
-      return metadata;
+function checkDocsTree(rootDir) {
+  if (!fs.existsSync(rootDir)) {
+    console.error("Error: docs tree not found:", rootDir);
+    return false;
+  }
+  const manifestPath = path.join(rootDir, CATALOG_MANIFEST_FILENAME);
+  const manifest = fs.existsSync(manifestPath) ? parseJsonFile(manifestPath) : null;
+  const relative = Boolean(manifest && manifest.urlMode === "relative");
+  const base = relative ? null : ((manifest && manifest.baseUrl) || BASE_URL).replace(/\/+$/, "");
+  if (!relative && !base) {
+    console.error("Error: cannot tell the base URL (no baseUrl in catalog.json or config.json).");
+    return false;
+  }
+
+  const files = listPublishedFiles(rootDir);
+  const published = new Set(files);
+  const referenced = new Set();
+  const dangling = [];
+  let checked = 0;
+  for (const rel of files) {
+    if (path.extname(rel).toLowerCase() !== ".json" || rel === "whats-new.json") continue;
+    const json = parseJsonFile(path.join(rootDir, rel));
+    if (!json) {
+      dangling.push({ file: rel, jsonPath: "$", message: "unreadable JSON" });
+      continue;
+    }
+    for (const ref of collectDocsReferences(json, base)) {
+      checked++;
+      const target = docsPathForReference(ref.url, base);
+      if (target && published.has(target)) {
+        referenced.add(target);
+      } else {
+        const reason = !target
+          ? "points outside the docs tree"
+          : fs.existsSync(path.join(rootDir, target))
+            ? "points to a folder"
+            : "no such file";
+        dangling.push({ file: rel, jsonPath: ref.jsonPath, message: `${reason}: ${ref.url}` });
+      }
     }
   }
-  return null;
+
+  const orphans = files.filter(
+    (rel) => MEDIA_EXTENSIONS.has(path.extname(rel).toLowerCase()) && !referenced.has(rel)
+  );
+
+  for (const problem of dangling) {
+    console.error(`${problem.file}  ${problem.jsonPath}  ${problem.message}`);
+  }
+  if (orphans.length) {
+    console.warn(`${orphans.length} media file(s) are not referenced by any generated file:`);
+    for (const rel of orphans) console.warn(`  ${rel}`);
+  }
+  log(
+    `Checked ${checked} reference(s): ${dangling.length} dangling, ` +
+      `${orphans.length} unreferenced media file(s).`
+  );
+  return dangling.length === 0;
 }
 
 /**
- * Main entry point:
- * 1) Validate the source directory existence.
- * 2) Clear the target folder (output).
- * 3) Recursively scan the source directory and build indexes/files in the target directory.
+ * Restore the most recent kept generation as targetDir (`--rollback`).
+ * The rolled-back output is discarded, and so is the build cache,
+ * because it describes the output we just removed.
  */
-function main() {
-  if (!fs.existsSync(SOURCE_DIR)) {
-    console.error("Error: sourceDir (repository) not found:", SOURCE_DIR);
+function rollbackToPreviousGeneration() {
+  migrateSymlinkedTargetDir();
+  const latest = listGenerations().pop();
+  if (!latest) {
+    console.error("Error: no previous generation to roll back to in:", BACKUP_DIR);
     process.exit(1);
   }
-  clearDocsFolder(TARGET_DIR);
-
-  // ---------------------------------------------------------------
-  // If a "whats-new.json" exists at the root of the repository,
-  // copy it verbatim to the *root* of the generated docs folder.
-  // ---------------------------------------------------------------
-  const whatsNewSrc = path.join(SOURCE_DIR, "whats-new.json");
-  if (fs.existsSync(whatsNewSrc)) {
-    // Ensure the target root exists in case clearDocsFolder() just deleted it
-    ensureDirExists(TARGET_DIR);
-    const whatsNewDst = path.join(TARGET_DIR, "whats-new.json");
-    copyFile(whatsNewSrc, whatsNewDst);
-    console.log(`Copied whats-new.json → ${whatsNewDst}`);
+  // Brought next to targetDir first, so the swap itself is two renames
+  const restored = `${TARGET_DIR}.rollback`;
+  const discarded = `${TARGET_DIR}.previous`;
+  clearDocsFolder(restored);
+  clearDocsFolder(discarded);
+  moveFolder(latest, restored);
+  if (fs.existsSync(TARGET_DIR)) {
+    fs.renameSync(TARGET_DIR, discarded);
   }
-
-  recurseAndBuildAllIndexes(SOURCE_DIR, TARGET_DIR);
+  fs.renameSync(restored, TARGET_DIR);
+  clearDocsFolder(discarded);
+  fs.rmSync(BUILD_CACHE_PATH, { force: true });
+  log(`Rolled back ${TARGET_DIR} to ${path.basename(latest)}`);
 }
 
 /**
@@ -244,6 +3010,7 @@ function main() {
  *   - If it's a regular subfolder, recurse into it to build a nested index.
  *   - If it's a .json file, process it as an entity (if valid) or copy as-is (if invalid).
  *   - If it's a non-JSON file, copy it as-is to the target directory.
+ * Drafts are skipped and hidden items are built but left out of the index (see publicationState).
  *
  * Regardless of contents, produce an "index.json" in each folder with the shape:
  * {
@@ -255,8 +3022,11 @@ function main() {
  * @param {string} targetDir        The target folder to write.
  * @param {string} webRelativePath  A relative path (used to build final URLs).
  *                                  Defaults to "" at the top-level.
+ * @param {boolean} hidden          True inside a hidden folder: its entities are not
+ *                                  added to the search index or featured list.
+ * @returns {object}                The index written for this folder ({ info, items }).
  */
-function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
+function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "", hidden = false) {
   // Ensure the target folder exists (it might not if it's newly created).
   ensureDirExists(targetDir);
 
@@ -267,30 +3037,40 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
     const bannerSrc = path.join(sourceDir, dirMetadata.bannerImage);
     const bannerDst = path.join(targetDir, dirMetadata.bannerImage);
     if (fs.existsSync(bannerSrc)) {
-      copyFile(bannerSrc, bannerDst);
+      copyFileCached(bannerSrc, bannerDst);
       dirMetadata.bannerImageUrl = absoluteBannerUrl(webRelativePath, dirMetadata.bannerImage);
     } else {
-      console.warn("Banner image listed but not found:", bannerSrc);
+      warn("missing-banner", `Banner image listed but not found: ${dirMetadata.bannerImage}`, {
+        source: sourceLabel(path.join(sourceDir, REPO_METADATA_FILENAME)),
+      });
+    }
+  }
+
+  // Localized banners: "localized": { "ja": { "bannerImage": "banner-ja.png" } }
+  for (const lang of Object.keys(dirMetadata.localized || {})) {
+    const localized = localizedMetadata(dirMetadata, lang);
+    if (!localized.bannerImage) continue;
+    const bannerSrc = path.join(sourceDir, localized.bannerImage);
+    if (fs.existsSync(bannerSrc)) {
+      copyFileCached(bannerSrc, path.join(targetDir, localized.bannerImage));
+      localized.bannerImageUrl = absoluteBannerUrl(webRelativePath, localized.bannerImage);
+    } else {
+      warn("missing-banner", `Banner image (${lang}) listed but not found: ${localized.bannerImage}`, {
+        source: sourceLabel(path.join(sourceDir, REPO_METADATA_FILENAME)),
+      });
     }
   }
 
-  // Read entries in the current sourceDir
-  const entries = fs.readdirSync(sourceDir, { withFileTypes: true });
+  // Read entries in the current sourceDir, in a stable order (readdir order differs across filesystems)
+  const entries = fs
+    .readdirSync(sourceDir, { withFileTypes: true })
+    .sort((a, b) => compareNames(a.name, b.name));
   const indexItems = [];
 
   // For each file/folder in sourceDir
   for (const entry of entries) {
-    // Skip hidden/system files, index.json, or the special whats-new.json
-    if (
-      entry.name.startsWith(".") ||
-      entry.name === "index.json" ||
-      entry.name === "whats-new.json"
-    ) {
-      continue;
-    }
-
-    // Also skip listing "repo-metadata.json" itself in the "items"
-    if (entry.name === REPO_METADATA_FILENAME) {
+    // Skip hidden/system files, index.json, whats-new.json and repo-metadata.json
+    if (isIgnoredSourceEntry(entry.name)) {
       continue;
     }
 
@@ -301,20 +3081,33 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
       ? path.join(webRelativePath, entry.name)
       : entry.name;
 
+    // Drafts and sources outside their publishing window are not built at all;
+    // hidden ones are built but not listed (see publicationState)
+    const publication = publicationState(childSourcePath, entry.isDirectory());
+    if (publication === "draft") {
+      log("Skipping unpublished source:", nextRelativePath);
+      continue;
+    }
+    const listedItemCount = indexItems.length;
+
+    // Entity output folder, unique within this folder (see planFolderOutputs)
+    const outputName = plannedEntityFolders.get(cacheKeyFor(childSourcePath));
+
     if (entry.isDirectory()) {
       // Check if the directory has an "entity.json"
       const entityJsonPath = path.join(childSourcePath, "entity.json");
       if (fs.existsSync(entityJsonPath)) {
         // => This is a folder containing a single entity
-        const result = processEntityFolder(
+        const result = processEntityCached(
           childSourcePath,
           targetDir,
-          nextRelativePath,
-          entry.name
+          () => processEntityFolder(childSourcePath, targetDir, nextRelativePath, entry.name, outputName),
+          isProgramPath(nextRelativePath) ? programDependencyFingerprint(cacheKeyFor(childSourcePath)) : ""
         );
         if (result) {
           indexItems.push(result);
         }
+        noteProgramDependencies(result, nextRelativePath);
       } else {
         // => A normal subfolder (no "entity.json"), so we recurse
 
@@ -326,55 +3119,64 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
           : undefined;
 
         const subTargetDir = path.join(targetDir, sanitizeForFilesystem(entry.name));
-        recurseAndBuildAllIndexes(childSourcePath, subTargetDir, nextRelativePath);
+        recurseAndBuildAllIndexes(
+          childSourcePath,
+          subTargetDir,
+          nextRelativePath,
+          hidden || publication === "hidden"
+        );
 
         // copy child banner image into docs tree, if any
         if (childMetadata.bannerImage) {
           const bIn = path.join(childSourcePath, childMetadata.bannerImage);
           const bOut = path.join(subTargetDir, childMetadata.bannerImage);
-          if (fs.existsSync(bIn)) copyFile(bIn, bOut);
+          if (fs.existsSync(bIn)) copyFileCached(bIn, bOut);
         }
 
-        indexItems.push({
+        const dirItem = {
           name: childDisplay,
           path: sanitizeForFilesystem(entry.name),
           isDirectory: true,
           description: childMetadata.description || undefined,
           bannerImage: childBannerUrl,
           info: Object.keys(childMetadata).length ? childMetadata : undefined,
-        });
+        };
+        sourcePathByItem.set(dirItem, childSourcePath);
+        indexItems.push(dirItem);
       }
     } else {
       // It's a file. We check if it's JSON or another format.
       const ext = path.extname(entry.name).toLowerCase();
       if (ext === ".zip") {
-        const topFolder = getTopLevelFolder(nextRelativePath).toLowerCase();
-        if (topFolder === "programs") {
+        const typeDef = entityTypeForPath(nextRelativePath);
+        if (typeDef && typeDef.type === "Program") {
           /* ------------------------------------------------------------------
              A *zipped* Program package exported by the iOS app
              ------------------------------------------------------------------ */
-          const result = processProgramPackageZip(
-            childSourcePath,        // …/repository/Programs/MyShow.zip
-            targetDir,              // …/docs/Programs
-            nextRelativePath        // Programs/MyShow.zip
-          );
-          if (result) indexItems.push(result);
-        } else if (
-          [
-            "persons",
-            "feeds",
-            "soundsets",
-            "generativeais",
-            "pagecontents",
-            "apicontents",
-            "broadcasts",
-            "catalogs",
-          ].includes(topFolder)
-        ) {
-          const result = processEntityPackageZip(
+          const result = processEntityCached(
             childSourcePath,
             targetDir,
-            nextRelativePath
+            () =>
+              processProgramPackageZip(
+                childSourcePath,        // …/repository/Programs/MyShow.zip
+                targetDir,              // …/docs/Programs
+                nextRelativePath,       // Programs/MyShow.zip
+                outputName              // MyShow (or MyShow-2 on a collision)
+              ),
+            programDependencyFingerprint(cacheKeyFor(childSourcePath))
+          );
+          if (result) indexItems.push(result);
+
+          const depStatus = noteProgramDependencies(result, nextRelativePath);
+          if (depStatus && depStatus.linked && depStatus.linked.length) {
+            catalogLinkedPrograms.push({
+              outputDir: path.join(targetDir, path.posix.basename(result.path)),
+              linked: depStatus.linked,
+            });
+          }
+        } else if (typeDef) {
+          const result = processEntityCached(childSourcePath, targetDir, () =>
+            processEntityPackageZip(childSourcePath, targetDir, nextRelativePath, outputName)
           );
           if (result) indexItems.push(result);
         } else {
@@ -382,14 +3184,20 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
             targetDir,
             sanitizeForFilesystem(entry.name)
           );
-          copyFile(childSourcePath, childTargetPath);
+          copyFileCached(childSourcePath, childTargetPath);
         }
       } else if (ext === ".json") {
         // Process a JSON entity (if valid)
-        const result = processEntityJson(childSourcePath, targetDir, nextRelativePath);
+        const result = processEntityCached(
+          childSourcePath,
+          targetDir,
+          () => processEntityJson(childSourcePath, targetDir, nextRelativePath, outputName),
+          isProgramPath(nextRelativePath) ? programDependencyFingerprint(cacheKeyFor(childSourcePath)) : ""
+        );
         if (result) {
           indexItems.push(result);
         }
+        noteProgramDependencies(result, nextRelativePath);
       } else {
         /* ---------------------------------------------------------------
            Non-JSON file (e.g. banner.jpg, README.md, thumb.db, etc.)
@@ -402,20 +3210,388 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
           targetDir,
           sanitizeForFilesystem(entry.name)
         );
-        copyFile(childSourcePath, childTargetPath);
+        copyFileCached(childSourcePath, childTargetPath);
       }
     }
+
+    if (publication === "hidden") {
+      indexItems.length = listedItemCount;
+    }
+  }
+
+  for (const item of indexItems) {
+    if (!hidden && !item.isDirectory && item.digest) {
+      const sourcePath = sourcePathByItem.get(item);
+      publishedEntities.push({
+        ...item,
+        folder: webRelativePath,
+        sourceName: sourcePath ? path.basename(sourcePath) : undefined,
+      });
+    }
   }
 
   // Finally, produce the index.json for this folder
   const finalIndex = {
     info: dirMetadata,
-    items: indexItems,
+    items: orderIndexItems(indexItems, dirMetadata),
+  };
+
+  // Written at the end of the build (see writeFolderIndexes), since inlined catalog
+  // dependencies may still change entity files and so their hashes
+  folderIndexes.push({ targetDir, index: finalIndex });
+
+  // Index files are always regenerated; record them so they are pruned with their source folder
+  buildCache.next[cacheKeyFor(sourceDir)] = {
+    outputs: ["index.json", ...LOCALES.map((lang) => `index.${lang}.json`)].map((name) =>
+      path.relative(STAGING_DIR, path.join(targetDir, name))
+    ),
+  };
+
+  return finalIndex;
+}
+
+/**
+ * Write the index.json (and index.<lang>.json files) of every folder built by
+ * recurseAndBuildAllIndexes(), after the folderIndex plugin hooks. Entity items get
+ * the SHA-256 of their JSON files (see withEntityHashes).
+ */
+function writeFolderIndexes() {
+  for (const { targetDir, index: builtIndex } of folderIndexes) {
+    const index = runPluginHook("folderIndex", builtIndex, {
+      folder: path.relative(STAGING_DIR, targetDir).split(path.sep).join("/"),
+      outputDir: targetDir,
+      catalogUrl,
+    });
+    const hashedIndex = { info: index.info, items: index.items.map((item) => withEntityHashes(item)) };
+    ensureDirExists(targetDir);
+    writeJsonFile(path.join(targetDir, "index.json"), hashedIndex);
+    for (const lang of LOCALES) {
+      writeJsonFile(path.join(targetDir, `index.${lang}.json`), localizeIndex(hashedIndex, lang));
+    }
+    debug("Created index.json in:", targetDir);
+  }
+}
+
+/**
+ * Return a copy of an entity index item with the SHA-256 of its published JSON files
+ * (read from the staging folder unless another docs tree is given),
+ * so clients can verify what they import:
+ *   "sha256": { "entity.json": "<hex>", "entity+deps.json": "<hex>" }
+ * Subfolder items are returned unchanged. Throws if the entity has no entity.json.
+ */
+function withEntityHashes(item, rootDir = STAGING_DIR) {
+  if (item.isDirectory || !item.digest) return item;
+  // item.path keeps the source folder names; the output folders are sanitized
+  const folderAbs = path.join(rootDir, sanitizeWholePath(item.path));
+  if (!fs.existsSync(path.join(folderAbs, "entity.json"))) {
+    throw new Error(`entity.json missing for index item ${item.path} (expected in ${folderAbs})`);
+  }
+  const sha256 = {};
+  for (const name of ENTITY_JSON_FILES) {
+    const filePath = path.join(folderAbs, name);
+    if (fs.existsSync(filePath)) sha256[name] = sha256OfFile(filePath);
+  }
+  return { ...item, sha256 };
+}
+
+/**
+ * The `localized[lang]` section of a repo-metadata.json ({ name, description, bannerImage }),
+ * or an empty object if the folder has none for this language.
+ */
+function localizedMetadata(metadata, lang) {
+  const localized = metadata && metadata.localized && metadata.localized[lang];
+  return localized && typeof localized === "object" ? localized : {};
+}
+
+/**
+ * True if a Program's `lang.code` ("ja", "ja-JP", …) is in the given language.
+ */
+function matchesLocale(code, lang) {
+  const primary = (tag) => String(tag).toLowerCase().split(/[-_]/)[0];
+  return typeof code === "string" && primary(code) === primary(lang);
+}
+
+/**
+ * Build the locale-specific variant of a folder index, written as index.<lang>.json:
+ * - `info` and subfolder items use the name, description and banner of their
+ *   `localized[lang]` metadata, falling back to the default ones;
+ * - Programs are only listed if their `lang.code` is in that language.
+ */
+function localizeIndex(index, lang) {
+  const { localized: _info, ...info } = index.info;
+  const localizedInfo = localizedMetadata(index.info, lang);
+
+  const items = index.items
+    .filter(
+      (item) =>
+        !item.digest ||
+        item.digest.entityType !== "Program" ||
+        matchesLocale(item.digest.lang && item.digest.lang.code, lang)
+    )
+    .map((item) => {
+      if (!item.isDirectory) return item;
+      const localized = localizedMetadata(item.info, lang);
+      const sourcePath = sourcePathByItem.get(item);
+      return {
+        ...item,
+        name: localized.name || item.name,
+        description: localized.description || item.description,
+        bannerImage:
+          localized.bannerImage && sourcePath
+            ? absoluteBannerUrl(cacheKeyFor(sourcePath), localized.bannerImage)
+            : item.bannerImage,
+      };
+    });
+
+  return {
+    info: {
+      ...info,
+      name: localizedInfo.name || info.name,
+      description: localizedInfo.description || info.description,
+      bannerImage: localizedInfo.bannerImage || info.bannerImage,
+      bannerImageUrl: localizedInfo.bannerImageUrl || info.bannerImageUrl,
+      locale: lang,
+    },
+    items,
+  };
+}
+
+/**
+ * True if a reference from repo-metadata.json (in `order`, `pinned`,
+ * `featured`, …) designates this index item: by source file/folder name,
+ * output folder name or entity id.
+ */
+function matchesItemRef(item, sourceName, ref) {
+  return (
+    ref === sourceName ||
+    ref === path.posix.basename(item.path) ||
+    (item.digest !== undefined && ref === item.digest.id)
+  );
+}
+
+/**
+ * Order the items of one index.json according to the folder's repo-metadata.json:
+ *   "sort":   "name"         → by display name
+ *             "lastModified" → newest first (subfolders use their metadata lastModified)
+ *             "manual"       → items listed in "order" first, in that order, then by name
+ *             (absent)       → keep the stable source-name order
+ *   "order":  ["Show.zip", "<entity id>", "SubFolder", …]   (used by "manual")
+ *   "pinned": [ … same kind of references … ]   always listed first, in that order
+ * References match by source file/folder name, output folder name or entity id.
+ *
+ * @param {Array}  items     Index items (entities and subfolders).
+ * @param {object} metadata  The folder's repo-metadata.json (may be empty).
+ * @returns {Array}          A new, ordered array.
+ */
+function orderIndexItems(items, metadata) {
+  const sourceNameOf = (item) => {
+    const sourcePath = sourcePathByItem.get(item);
+    return sourcePath ? path.basename(sourcePath) : undefined;
+  };
+  const rankIn = (refs) => (item) => {
+    const i = Array.isArray(refs)
+      ? refs.findIndex((ref) => matchesItemRef(item, sourceNameOf(item), ref))
+      : -1;
+    return i === -1 ? Infinity : i;
+  };
+  const pinRank = rankIn(metadata.pinned);
+  const orderRank = rankIn(metadata.order);
+  const byName = (a, b) => compareNames(a.name || "", b.name || "");
+  const modifiedOf = (item) => {
+    if (item.digest) return item.digest.lastModified || 0;
+    const modified = item.info && item.info.lastModified;
+    // Older metadata-admin-server versions saved epoch seconds as a string
+    return typeof modified === "string" && /^\d+$/.test(modified)
+      ? Number(modified)
+      : toUnixEpochSeconds(modified, 0);
+  };
+
+  const compareBySortMode = {
+    name: byName,
+    lastModified: (a, b) => modifiedOf(b) - modifiedOf(a) || byName(a, b),
+    manual: (a, b) => {
+      const ra = orderRank(a);
+      const rb = orderRank(b);
+      return ra === rb ? byName(a, b) : ra < rb ? -1 : 1;
+    },
+  }[metadata.sort];
+
+  // Array.prototype.sort is stable, so unsorted folders keep the source-name order
+  return [...items].sort((a, b) => {
+    const pa = pinRank(a);
+    const pb = pinRank(b);
+    if (pa !== pb) return pa < pb ? -1 : 1;
+    return compareBySortMode ? compareBySortMode(a, b) : 0;
+  });
+}
+
+/**
+ * Macs add "__MACOSX/" resource forks and ".DS_Store" files when zipping; they are
+ * skipped instead of rejected.
+ */
+function isZipJunkEntry(entryName) {
+  return entryName.startsWith("__MACOSX/") || path.posix.basename(entryName) === ".DS_Store";
+}
+
+/**
+ * Check the entries of a zip package against ZIP_LIMITS without extracting it:
+ * paths escaping the extraction folder (".." segments, absolute or drive paths),
+ * symlinks, file types other than JSON / images / audio, and the per-file size,
+ * total size and entry count limits (as declared in the zip headers).
+ *
+ * @param {AdmZip} zip
+ * @returns {string[]} Problems found; empty if the package is safe to extract.
+ */
+function inspectZipEntries(zip) {
+  const problems = [];
+  const entries = zip.getEntries().filter((entry) => !isZipJunkEntry(entry.entryName));
+  if (entries.length > ZIP_LIMITS.maxEntries) {
+    problems.push(`${entries.length} entries (limit ${ZIP_LIMITS.maxEntries})`);
+  }
+  let totalBytes = 0;
+  for (const entry of entries) {
+    const name = entry.entryName.replace(/\\/g, "/");
+    if (name.startsWith("/") || /^[A-Za-z]:/.test(name) || name.split("/").includes("..")) {
+      problems.push(`${entry.entryName}: path escapes the package folder`);
+      continue;
+    }
+    // Unix file mode lives in the upper 16 bits of the external attributes
+    if (((entry.header.attr >>> 16) & 0o170000) === 0o120000) {
+      problems.push(`${entry.entryName}: symbolic link`);
+      continue;
+    }
+    if (entry.isDirectory) continue;
+    const ext = path.posix.extname(name).toLowerCase();
+    if (!ZIP_LIMITS.allowedExtensions.includes(ext)) {
+      problems.push(`${entry.entryName}: file type not allowed`);
+    }
+    if (entry.header.size > ZIP_LIMITS.maxFileBytes) {
+      problems.push(`${entry.entryName}: ${entry.header.size} bytes (limit ${ZIP_LIMITS.maxFileBytes})`);
+    }
+    totalBytes += entry.header.size;
+  }
+  if (totalBytes > ZIP_LIMITS.maxTotalBytes) {
+    problems.push(`${totalBytes} bytes uncompressed (limit ${ZIP_LIMITS.maxTotalBytes})`);
+  }
+  return problems;
+}
+
+// CRC-32 lookup table (the checksum stored in zip headers), built on first use
+let crc32Table;
+
+function crc32(buf) {
+  if (!crc32Table) {
+    crc32Table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crc32Table[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Data of a zip entry, decompressed without ever producing more than the size
+ * declared in its header, which must itself be within `maxBytes`. The headers can
+ * lie, so inflating is bounded rather than trusting inspectZipEntries() alone.
+ * Throws if the entry is encrypted, uses a compression method other than
+ * stored / deflate, or its data does not match the declared size and checksum.
+ *
+ * @param {object} entry     An AdmZip entry.
+ * @param {number} maxBytes  Most bytes the entry may decompress to.
+ * @returns {Buffer}
+ */
+function readZipEntryBounded(entry, maxBytes) {
+  const declared = entry.header.size;
+  if (declared > maxBytes) {
+    throw new Error(`${entry.entryName}: ${declared} bytes (limit ${maxBytes})`);
+  }
+  if (entry.header.encrypted) {
+    throw new Error(`${entry.entryName}: encrypted`);
+  }
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === 0) {
+    data = compressed;
+  } else if (entry.header.method === 8) {
+    try {
+      // maxOutputLength must be at least 1; inflating past it throws
+      data = compressed.length
+        ? zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(declared, 1) })
+        : Buffer.alloc(0);
+    } catch (err) {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") {
+        throw new Error(`${entry.entryName}: data exceeds its declared size`);
+      }
+      throw err;
+    }
+  } else {
+    throw new Error(`${entry.entryName}: unsupported compression method ${entry.header.method}`);
+  }
+  if (data.length !== declared) {
+    throw new Error(`${entry.entryName}: data does not match its declared size`);
+  }
+  if (crc32(data) !== entry.header.crc) {
+    throw new Error(`${entry.entryName}: checksum mismatch`);
+  }
+  return data;
+}
+
+/**
+ * Extract a zip package into `destDir` after checking it with inspectZipEntries().
+ * Entries are decompressed and written one by one (see readZipEntryBounded), never
+ * past their declared size nor the maxFileBytes / maxTotalBytes limits. A refused package is recorded in
+ * rejectedPackages (reported at the end of the build) instead of failing the build.
+ *
+ * @param {string} sourceZipPath    The zip in the repository.
+ * @param {string} destDir          Empty folder to extract into.
+ * @param {string} rawRelativePath  Path of the zip relative to sourceDir (for the report).
+ * @returns {AdmZip|null}           The opened zip, or null if it was refused.
+ */
+function extractZipSafely(sourceZipPath, destDir, rawRelativePath) {
+  const reject = (problems) => {
+    warn("rejected-package", `Rejected package: ${problems.join("; ")}`, {
+      source: rawRelativePath,
+      entityType: (entityTypeForPath(rawRelativePath) || {}).type,
+    });
+    rejectedPackages.push({ path: rawRelativePath, problems });
+    return null;
   };
 
-  const indexFilePath = path.join(targetDir, "index.json");
-  fs.writeFileSync(indexFilePath, JSON.stringify(finalIndex, null, 2), "utf-8");
-  console.log("Created index.json in:", targetDir);
+  let zip;
+  let problems;
+  try {
+    zip = new AdmZip(sourceZipPath);
+    problems = inspectZipEntries(zip);
+  } catch (err) {
+    return reject([`unreadable zip (${err.message})`]);
+  }
+  if (problems.length) return reject(problems);
+
+  try {
+    let totalBytes = 0;
+    for (const entry of zip.getEntries()) {
+      if (isZipJunkEntry(entry.entryName)) continue;
+      const target = path.join(destDir, entry.entryName.replace(/\\/g, "/"));
+      if (entry.isDirectory) {
+        ensureDirExists(target);
+        continue;
+      }
+      const data = readZipEntryBounded(
+        entry,
+        Math.min(ZIP_LIMITS.maxFileBytes, ZIP_LIMITS.maxTotalBytes - totalBytes)
+      );
+      totalBytes += data.length;
+      ensureDirExists(path.dirname(target));
+      fs.writeFileSync(target, data);
+    }
+  } catch (err) {
+    return reject([`extraction failed (${err.message})`]);
+  }
+  return zip;
 }
 
 /**
@@ -425,17 +3601,23 @@ function recurseAndBuildAllIndexes(sourceDir, targetDir, webRelativePath = "") {
  * 3. Move that folder into the docs tree with a nice name.
  * 4. Rewrite local / generated image & audio references to "remote".
  * 5. Return an index item (digest) so the caller can list it.
+ *
+ * `outputName` is the folder planned for it (see planFolderOutputs); without it the
+ * folder is named after the digest.
  */
-function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePath) {
+function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePath, outputName) {
   // ---------- 1) unzip -------------------------------------------------------
-  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "pkg-"));
-  const zip = new AdmZip(sourceZipPath);
-  zip.extractAllTo(tmpRoot, true);
+  const tmpRoot = makeTempDir();
+  const zip = extractZipSafely(sourceZipPath, tmpRoot, rawRelativePath);
+  if (!zip) return null;
 
   // find the first entity.json inside the extracted tree
   const candidate = walkForEntityJson(tmpRoot);
   if (!candidate) {
-    console.warn("No entity.json inside", sourceZipPath);
+    warn("invalid-package", "No entity.json inside the package", {
+      source: rawRelativePath,
+      entityType: (entityTypeForPath(rawRelativePath) || {}).type,
+    });
     fs.rmSync(tmpRoot, { recursive: true, force: true });
     return null;
   }
@@ -447,11 +3629,16 @@ function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePat
     fs.rmSync(tmpRoot, { recursive: true, force: true });
     return null;
   }
-  let digest = parseProgramDigest(programJson.spec || {});
+  const source = entitySourceInfo(
+    sourceZipPath,
+    zipEntryMtimeSeconds(zip, path.relative(tmpRoot, entityJsonPath).split(path.sep).join("/"), sourceZipPath)
+  );
+  const typeDef = entityTypeForPath(rawRelativePath);
+  let digest = buildDigest(programJson, typeDef, source);
 
   // decide the final folder name
   const fallbackName = stripJsonExtension(path.basename(sourceZipPath));
-  const finalFolderName = sanitizeForFilesystem(digest.name || fallbackName);
+  const finalFolderName = outputName || sanitizeForFilesystem(digest.name || fallbackName);
 
   // ---------- 3) move folder into docs tree ---------------------------------
   const destFolder = path.join(parentTargetDir, finalFolderName);
@@ -461,22 +3648,24 @@ function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePat
   // Read the *rewritten* program JSON so that image URLs are already remote
   const progJsonPath = path.join(destFolder, "entity.json");
   const progJson     = parseJsonFile(progJsonPath);
+  let dependencyStatus = null;
   if (progJson) {
-    const blob = buildAggregatedBlob(progJson.spec, destFolder);
+    const { dependencyStatus: status, ...blob } = buildAggregatedBlob(progJson.spec, destFolder);
+    dependencyStatus = status;
+    for (const ref of status.missing) {
+      // Recorded with the summary at the end of the build, which also covers cached Programs
+      debug(`Program "${digest.name || fallbackName}" references missing ${ref.kind} ${ref.id}:`, rawRelativePath);
+    }
     const aggregated = { ...progJson, ...blob };
-    fs.writeFileSync(
-      path.join(destFolder, "entity+deps.json"),
-      JSON.stringify(aggregated, null, 2),
-      "utf-8"
-    );
-    console.log("Created entity+deps.json in", destFolder);
+    writeJsonFile(path.join(destFolder, "entity+deps.json"), aggregated);
+    debug("Created entity+deps.json in", destFolder);
   }
 
   // ---------- 4) rewrite media refs inside ALL entity.json files ------------
   recursivelyRewriteEntityFolder(destFolder, path.posix.join(
     path.dirname(rawRelativePath.replace(/\.zip$/i, "")), // Programs/…
     finalFolderName                                       // …/MyShow
-  ));
+  ), typeDef);
 
   /* --------------------------------------------------------------
    *  Re-read the (now rewritten) Program JSON so that the digest
@@ -485,7 +3674,10 @@ function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePat
    * -------------------------------------------------------------- */
   const rewrittenProgram = parseJsonFile(path.join(destFolder, "entity.json"));
   if (rewrittenProgram && rewrittenProgram.spec) {
-    digest = parseProgramDigest(rewrittenProgram.spec);
+    digest = buildDigest(rewrittenProgram, typeDef, source);
+  }
+  if (dependencyStatus) {
+    digest.dependencyStatus = dependencyStatus;
   }
 
   // ---------- 5) create index entry -----------------------------------------
@@ -505,16 +3697,19 @@ function processProgramPackageZip(sourceZipPath, parentTargetDir, rawRelativePat
  * Handle a .zip that contains a generic entity package (.personpkg, .feedpkg, ...).
  * The steps are similar to processProgramPackageZip but without building an aggregated blob.
  */
-function processEntityPackageZip(sourceZipPath, parentTargetDir, rawRelativePath) {
+function processEntityPackageZip(sourceZipPath, parentTargetDir, rawRelativePath, outputName) {
   // ---------- 1) unzip -------------------------------------------------------
-  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "pkg-"));
-  const zip = new AdmZip(sourceZipPath);
-  zip.extractAllTo(tmpRoot, true);
+  const tmpRoot = makeTempDir();
+  const zip = extractZipSafely(sourceZipPath, tmpRoot, rawRelativePath);
+  if (!zip) return null;
 
   // Locate first entity.json inside extracted tree
   const candidate = walkForEntityJson(tmpRoot);
   if (!candidate) {
-    console.warn("No entity.json inside", sourceZipPath);
+    warn("invalid-package", "No entity.json inside the package", {
+      source: rawRelativePath,
+      entityType: (entityTypeForPath(rawRelativePath) || {}).type,
+    });
     fs.rmSync(tmpRoot, { recursive: true, force: true });
     return null;
   }
@@ -528,12 +3723,16 @@ function processEntityPackageZip(sourceZipPath, parentTargetDir, rawRelativePath
     return null;
   }
 
-  const entityType = getTopLevelFolder(rawRelativePath);
-  let digest = buildDigest(entityJson, entityType);
+  const typeDef = entityTypeForPath(rawRelativePath);
+  const source = entitySourceInfo(
+    sourceZipPath,
+    zipEntryMtimeSeconds(zip, path.relative(tmpRoot, entityJsonPath).split(path.sep).join("/"), sourceZipPath)
+  );
+  let digest = buildDigest(entityJson, typeDef, source);
 
   // decide the final folder name
   const fallbackName = stripJsonExtension(path.basename(sourceZipPath));
-  const finalFolderName = sanitizeForFilesystem(digest.name || fallbackName);
+  const finalFolderName = outputName || sanitizeForFilesystem(digest.name || fallbackName);
 
   // ---------- 3) move folder into docs tree ---------------------------------
   const destFolder = path.join(parentTargetDir, finalFolderName);
@@ -546,13 +3745,14 @@ function processEntityPackageZip(sourceZipPath, parentTargetDir, rawRelativePath
     path.posix.join(
       path.dirname(rawRelativePath.replace(/\.zip$/i, "")),
       finalFolderName
-    )
+    ),
+    typeDef
   );
 
   // re-read digest after rewrite
   const rewritten = parseJsonFile(path.join(destFolder, "entity.json"));
   if (rewritten && rewritten.spec) {
-    digest = buildDigest(rewritten, entityType);
+    digest = buildDigest(rewritten, typeDef, source);
   }
 
   // ---------- 5) create index entry -----------------------------------------
@@ -575,6 +3775,14 @@ function processEntityPackageZip(sourceZipPath, parentTargetDir, rawRelativePath
  * un-zipped package folder, and groups them into
  *   feeds · apiContents · pageContents · generativeAis
  * so the importer can hydrate the preview with a single HTTP request.
+ *
+ * References missing from the package are looked up in the catalog-wide id
+ * index; in "link" mode they are listed as
+ *   catalogDependencies: { persons: [{ id, url }], … }
+ * where `url` points to the already-published entity.json.
+ *
+ * Also returns `dependencyStatus` (see summarizeReferenceStatus()), which
+ * is not part of entity+deps.json but is added to the Program digest.
  */
 function buildAggregatedBlob(programSpec, pkgRootAbs) {
   /**
@@ -587,7 +3795,9 @@ function buildAggregatedBlob(programSpec, pkgRootAbs) {
     if (!fs.existsSync(soundElementRoot)) {
       return results;
     }
-    const dirs = fs.readdirSync(soundElementRoot, { withFileTypes: true });
+    const dirs = fs
+      .readdirSync(soundElementRoot, { withFileTypes: true })
+      .sort((a, b) => compareNames(a.name, b.name));
     for (const dirent of dirs) {
       if (!dirent.isDirectory()) continue;
       const elemFolder = path.join(soundElementRoot, dirent.name);
@@ -600,62 +3810,54 @@ function buildAggregatedBlob(programSpec, pkgRootAbs) {
     return results;
   }
 
+  // Resolution status of every referenced UUID, keyed by "<kind>/<id>"
+  const referenceStatus = new Map();
+
   /**
    * Simplified "pick" function from your existing code.  This looks up any
    * `entity.json` at the given relative sub-path and parses it.
    * If the file does not exist or parsing fails, it returns `null`.
+   * Every lookup is recorded in `referenceStatus` as resolved, skipped or missing.
    */
   function pick(relPath) {
+    const [kind, id] = relPath.split("/");
     const fullPath = path.join(pkgRootAbs, relPath, "entity.json");
     if (!fs.existsSync(fullPath)) {
+      // Not bundled: fall back to the same entity published elsewhere in the catalog
+      const published = lookupCatalogEntity(kind, id);
+      if (published) {
+        referenceStatus.set(relPath, { kind, id, status: "linked", url: published.url });
+      } else {
+        referenceStatus.set(relPath, { kind, id, status: "missing" });
+      }
       return null;
     }
     const obj = parseJsonFile(fullPath);
     if (!obj) {
+      referenceStatus.set(relPath, { kind, id, status: "missing", reason: "unreadable" });
       return null; // parse failed
     }
 
     // For Person or SoundSet, check if type === "predefined"
-    // or if it's a SoundElement with type === "preInstalled"
-    const spec = obj.spec || {};
-    if (spec.type === "predefined" || spec.type === "preInstalled") {
-      return null;
-    }
-    return obj;
-  }
-
-  // ------------------------------------------------------------------
-  // 1) Gather top-level references for feedIds, apiContentIds, etc.
-  // ------------------------------------------------------------------
-  const feedIds       = programSpec.feedIds        ?? [];
-  const apiContentIds = programSpec.apiContentIds  ?? [];
-  const pageContentIds= programSpec.pageContentIds ?? [];
-  const segmentFeeds  = new Set();
-  const segmentApis   = new Set();
-  const segmentPages  = new Set();
-  const segmentAis    = new Set();
-
-  // Walk segments to pick up feedId / apiContentId / pageContentId / generativeAiId
-  (function walkSegments(segs) {
-    for (const s of segs) {
-      if (s.generativeAiId) {
-        segmentAis.add(s.generativeAiId);
-      }
-      if (s.source) {
-        if (s.source.feedId)        segmentFeeds.add(s.source.feedId);
-        if (s.source.apiContentId)  segmentApis.add(s.source.apiContentId);
-        if (s.source.pageContentId) segmentPages.add(s.source.pageContentId);
-      }
-      if (Array.isArray(s.subSegments)) {
-        walkSegments(s.subSegments);
-      }
+    // or if it's a SoundElement with type === "preInstalled"
+    const spec = obj.spec || {};
+    if (spec.type === "predefined" || spec.type === "preInstalled") {
+      referenceStatus.set(relPath, { kind, id, status: "skipped", reason: spec.type });
+      return null;
     }
-  })(programSpec.programSegments ?? []);
+    referenceStatus.set(relPath, { kind, id, status: "resolved" });
+    return obj;
+  }
+
+  // ------------------------------------------------------------------
+  // 1) Gather top-level and segment references (see programReferences)
+  // ------------------------------------------------------------------
+  const { personalityIds, feedIds, apiContentIds, pageContentIds, generativeAiIds } =
+    programReferences(programSpec);
 
   // ------------------------------------------------------------------
   // 2) Gather persons and soundSets
   // ------------------------------------------------------------------
-  const personalityIds = programSpec.personalityIds ?? [];
   const persons = personalityIds
     .map((pid) => pick(`person/${pid}`))
     .filter(Boolean);
@@ -679,15 +3881,7 @@ function buildAggregatedBlob(programSpec, pkgRootAbs) {
   // ------------------------------------------------------------------
   // 3) Gather segment-level generativeAi plus program-level references
   // ------------------------------------------------------------------
-  const allGenAiIds = [
-    programSpec.generatorModelId,
-    programSpec.summarizerModelId,
-    programSpec.translatorModelId,
-    programSpec.coverImageModelId,
-    ...segmentAis,
-  ].filter(Boolean);
-
-  const generativeAis = allGenAiIds
+  const generativeAis = generativeAiIds
     .map((gid) => pick(`generativeAi/${gid}`))
     .filter(Boolean);
 
@@ -698,28 +3892,452 @@ function buildAggregatedBlob(programSpec, pkgRootAbs) {
     persons,
     soundSets,
     soundElements,
-    feeds: [
-      ...feedIds,
-      ...segmentFeeds,
-    ]
+    feeds: feedIds
       .map((fid) => pick(`feed/${fid}`))
       .filter(Boolean),
-    apiContents: [
-      ...apiContentIds,
-      ...segmentApis,
-    ]
+    apiContents: apiContentIds
       .map((aid) => pick(`apiContent/${aid}`))
       .filter(Boolean),
-    pageContents: [
-      ...pageContentIds,
-      ...segmentPages,
-    ]
+    pageContents: pageContentIds
       .map((pid) => pick(`pageContent/${pid}`))
       .filter(Boolean),
     generativeAis,
   };
 
-  return { dependencies: deps };
+  const dependencyStatus = summarizeReferenceStatus(referenceStatus);
+  const blob = { dependencies: deps };
+  if (CATALOG_DEPENDENCIES === "link" && dependencyStatus.linked.length) {
+    blob.catalogDependencies = groupByDependencyKey(dependencyStatus.linked);
+  }
+  return { ...blob, dependencyStatus };
+}
+
+/**
+ * Every UUID a Program spec references, by kind. Top-level ids come first,
+ * followed by those found in `programSegments` (walked recursively):
+ *   { personalityIds, soundSetId, feedIds, apiContentIds, pageContentIds, generativeAiIds }
+ */
+function programReferences(programSpec) {
+  const segmentFeeds = new Set();
+  const segmentApis  = new Set();
+  const segmentPages = new Set();
+  const segmentAis   = new Set();
+
+  // Walk segments to pick up feedId / apiContentId / pageContentId / generativeAiId
+  (function walkSegments(segs) {
+    for (const s of segs) {
+      if (s.generativeAiId) {
+        segmentAis.add(s.generativeAiId);
+      }
+      if (s.source) {
+        if (s.source.feedId)        segmentFeeds.add(s.source.feedId);
+        if (s.source.apiContentId)  segmentApis.add(s.source.apiContentId);
+        if (s.source.pageContentId) segmentPages.add(s.source.pageContentId);
+      }
+      if (Array.isArray(s.subSegments)) {
+        walkSegments(s.subSegments);
+      }
+    }
+  })(programSpec.programSegments ?? []);
+
+  return {
+    personalityIds: programSpec.personalityIds ?? [],
+    soundSetId: programSpec.soundSetId,
+    feedIds: [...(programSpec.feedIds ?? []), ...segmentFeeds],
+    apiContentIds: [...(programSpec.apiContentIds ?? []), ...segmentApis],
+    pageContentIds: [...(programSpec.pageContentIds ?? []), ...segmentPages],
+    generativeAiIds: [
+      programSpec.generatorModelId,
+      programSpec.summarizerModelId,
+      programSpec.translatorModelId,
+      programSpec.coverImageModelId,
+      ...segmentAis,
+    ].filter(Boolean),
+  };
+}
+
+/**
+ * The ids of programReferences(), sorted and without duplicates.
+ */
+function programReferenceIds(programSpec) {
+  const refs = programReferences(programSpec);
+  const ids = [
+    ...refs.personalityIds,
+    ...(refs.soundSetId ? [refs.soundSetId] : []),
+    ...refs.feedIds,
+    ...refs.apiContentIds,
+    ...refs.pageContentIds,
+    ...refs.generativeAiIds,
+  ].map(String);
+  return [...new Set(ids)].sort(compareNames);
+}
+
+/**
+ * Condense the per-reference results of buildAggregatedBlob() into the
+ * `dependencyStatus` published in the Program digest:
+ *   {
+ *     complete: false,                       // true when nothing is missing
+ *     resolved: 5,                           // number of bundled dependencies
+ *     linked:   [{ kind, id, url }],         // resolved from the published catalog
+ *     skipped:  [{ kind, id, reason }],      // predefined / preInstalled (app ships them)
+ *     missing:  [{ kind, id, reason? }]      // referenced but found nowhere
+ *   }
+ */
+function summarizeReferenceStatus(referenceStatus) {
+  const refs = [...referenceStatus.values()];
+  const strip = ({ status, ...ref }) => ref;
+  const missing = refs.filter((r) => r.status === "missing").map(strip);
+  return {
+    complete: missing.length === 0,
+    resolved: refs.filter((r) => r.status === "resolved").length,
+    linked: refs.filter((r) => r.status === "linked").map(strip),
+    skipped: refs.filter((r) => r.status === "skipped").map(strip),
+    missing,
+  };
+}
+
+//------------------------------------
+// Catalog-wide id index
+//------------------------------------
+
+/**
+ * Key used in entity+deps.json for a package dependency folder
+ * (person → persons, soundset → soundSets, …), see ENTITY_TYPES.
+ */
+function dependencyKeyFor(kind) {
+  const typeDef = entityTypeForPackageFolder(kind);
+  return (typeDef && typeDef.dependencyKey) || kind;
+}
+
+/**
+ * Every entity published by this build, keyed by `spec.id`:
+ *   id → { entityType, path, url }
+ * `path` is the entity's output folder relative to the docs root and `url`
+ * points to its entity.json. Filled by buildCatalogIdIndex() before the build.
+ */
+const catalogIdIndex = new Map();
+
+/**
+ * Read the package's own entity.json (the shallowest one) from a zip without extracting it.
+ * Returns null if the zip is unreadable, unsafe (see inspectZipEntries) or has no valid entity.json.
+ */
+function readZipRootEntityJson(zipPath) {
+  try {
+    const zip = new AdmZip(zipPath);
+    if (inspectZipEntries(zip).length) return null; // will be rejected by the build
+    const entry = zip
+      .getEntries()
+      .filter((e) => !e.isDirectory && path.posix.basename(e.entryName) === "entity.json")
+      .sort((a, b) => a.entryName.split("/").length - b.entryName.split("/").length)[0];
+    return entry ? JSON.parse(readZipEntryBounded(entry, ZIP_LIMITS.maxFileBytes).toString("utf-8")) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Output folder name of every entity source, decided by planFolderOutputs() before
+ * the build so that entities whose names collide get distinct, stable folders:
+ *   source key ("Persons/Alice.zip") → folder name ("Alice-Jones")
+ */
+const plannedEntityFolders = new Map();
+
+/**
+ * Scan the repository before the build and decide where every entity will be
+ * published, using the same folder naming as the processXxx() functions:
+ *   - Foo.zip       → <digest name>, falling back to the zip file name
+ *   - Foo/          → Foo
+ *   - Foo.json      → Foo
+ * Output names colliding within a folder are resolved by planFolderOutputs().
+ *
+ * Entities with an explicit `spec.id` are recorded in catalogIdIndex. An id used by
+ * several entities is reported; the first one by source path is kept for catalog links.
+ */
+function buildCatalogIdIndex() {
+  const withIds = [];
+  (function visit(dirAbs, relPath) {
+    const outputs = [];
+    const entries = fs
+      .readdirSync(dirAbs, { withFileTypes: true })
+      .sort((a, b) => compareNames(a.name, b.name));
+    for (const entry of entries) {
+      if (isIgnoredSourceEntry(entry.name)) continue;
+      const abs = path.join(dirAbs, entry.name);
+      const rel = relPath ? `${relPath}/${entry.name}` : entry.name;
+      if (publicationState(abs, entry.isDirectory()) === "draft") continue;
+      if (entry.isDirectory() && !fs.existsSync(path.join(abs, "entity.json"))) {
+        visit(abs, rel);
+        outputs.push({ key: rel, name: sanitizeForFilesystem(entry.name) });
+        continue;
+      }
+      const typeDef = entityTypeForPath(rel);
+      const ext = path.extname(entry.name).toLowerCase();
+
+      let scanned = null;
+      let folderName;
+      if (entry.isDirectory()) {
+        scanned = scanEntitySource(rel, () => parseJsonFile(path.join(abs, "entity.json")));
+        folderName = sanitizeForFilesystem(entry.name);
+      } else if (ext === ".zip" && typeDef) {
+        scanned = scanEntitySource(rel, () => readZipRootEntityJson(abs));
+        if (!scanned.readable) continue; // rejected or invalid: nothing is published
+        folderName = sanitizeForFilesystem(scanned.name || stripJsonExtension(entry.name));
+      } else if (ext === ".json" && (scanned = scanEntitySource(rel, () => parseJsonFile(abs))).readable) {
+        folderName = sanitizeForFilesystem(stripJsonExtension(entry.name));
+      } else {
+        // Copied as it is (unparsable JSON, other files)
+        outputs.push({ key: rel, name: sanitizeForFilesystem(entry.name) });
+        continue;
+      }
+      outputs.push({ key: rel, name: folderName, entityType: typeDef && typeDef.type });
+
+      if (scanned.id && typeDef) withIds.push({ key: rel, id: scanned.id, entityType: typeDef.type });
+    }
+    planFolderOutputs(relPath, outputs);
+  })(SOURCE_DIR, "");
+
+  const firstById = new Map();
+  for (const { key, id, entityType } of withIds.sort((a, b) => compareNames(a.key, b.key))) {
+    const outputPath = path.posix.join(
+      sanitizeWholePath(path.posix.dirname(key)),
+      plannedEntityFolders.get(key)
+    );
+    if (firstById.has(id)) {
+      const first = firstById.get(id);
+      warn(
+        "duplicate-id",
+        `spec.id ${id} is also used by ${first.key}; both are published, catalog links use ${first.path}`,
+        { source: key, entityType }
+      );
+      continue;
+    }
+    firstById.set(id, { key, path: outputPath });
+    catalogIdIndex.set(id, {
+      entityType,
+      path: outputPath,
+      url: catalogUrl(`${outputPath}/entity.json`),
+    });
+  }
+  log(`Indexed ${catalogIdIndex.size} entities for dependency resolution.`);
+}
+
+/**
+ * What buildCatalogIdIndex() needs from an entity source:
+ *   { readable: false } if its JSON could not be read, else
+ *   { readable: true, id: spec.id, name: spec.name,
+ *     references: ids referenced by a Program (see programDependencyFingerprint) }
+ * Read with `readJson()`, or taken from the previous build if the source cannot
+ * have changed (see sourceMayHaveChanged). The JSON is not validated yet, so only
+ * these fields are read: no digest is built and no plugin hook or synthesized id
+ * sees an entity that may never be published.
+ */
+function scanEntitySource(key, readJson) {
+  let scanned = buildCache.previousScan[key];
+  if (!scanned || sourceMayHaveChanged(key)) {
+    const json = readJson();
+    scanned = json
+      ? {
+          readable: true,
+          id: (json.spec && json.spec.id) || undefined,
+          name: (json.spec && typeof json.spec.name === "string" && json.spec.name) || undefined,
+          references: isProgramPath(key) ? programReferenceIds(json.spec || {}) : undefined,
+        }
+      : { readable: false };
+  }
+  buildCache.nextScan[key] = scanned;
+  return scanned;
+}
+
+/**
+ * Give every entity of a source folder an output folder that no other output of
+ * the folder uses, recording it in plannedEntityFolders. Subfolders and copied files
+ * keep their names. An entity first keeps the folder it got in the previous build
+ * (incremental builds), if that is still one of its names and free, so adding a
+ * colliding entity never moves published URLs. Among the other entities wanting the
+ * same folder, the first by source name keeps it and the others get the lowest free
+ * "-2", "-3", … suffix. Names are compared case-insensitively (macOS and Windows file
+ * systems are), and an entity's folder also claims its package "<folder>.zip".
+ *
+ * @param {string} relPath  The source folder, relative to sourceDir.
+ * @param {Array<{ key, name, entityType? }>} outputs  What the folder's entries write,
+ *        in source name order; `entityType` is set (possibly undefined) for entities.
+ */
+function planFolderOutputs(relPath, outputs) {
+  const owners = new Map(); // lower-cased output name → source key
+  const owner = (name) => owners.get(name.toLowerCase());
+  const outputPath = (name) => path.posix.join(sanitizeWholePath(relPath), name);
+
+  for (const output of outputs.filter((o) => !("entityType" in o))) {
+    if (owner(output.name)) {
+      warn("path-collision", `${outputPath(output.name)} is also written by ${owner(output.name)}`, {
+        source: output.key,
+      });
+    }
+    owners.set(output.name.toLowerCase(), output.key);
+  }
+
+  const entities = outputs.filter((o) => "entityType" in o);
+  const claim = (output, name) => {
+    owners.set(name.toLowerCase(), output.key);
+    owners.set(`${name}.zip`.toLowerCase(), output.key);
+    plannedEntityFolders.set(output.key, name);
+  };
+  // "Bob" itself or a suffixed "Bob-<n>"
+  const isOwnName = (output, name) =>
+    name === output.name ||
+    (name.startsWith(`${output.name}-`) && /^\d+$/.test(name.slice(output.name.length + 1)));
+
+  for (const output of entities) {
+    const cached = buildCache.previous[output.key];
+    const held = cached && cached.outputs && cached.outputs[0] && path.basename(cached.outputs[0]);
+    if (held && isOwnName(output, held) && !owner(held) && !owner(`${held}.zip`)) {
+      claim(output, held);
+    }
+  }
+
+  for (const output of entities) {
+    let name = plannedEntityFolders.get(output.key);
+    if (name === undefined) {
+      name = output.name;
+      for (let n = 2; owner(name) || owner(`${name}.zip`); n++) {
+        name = `${output.name}-${n}`;
+      }
+      claim(output, name);
+    }
+    const taken = owner(output.name) || owner(`${output.name}.zip`);
+    if (name !== output.name && taken) {
+      warn(
+        "path-collision",
+        `${outputPath(output.name)} is already used by ${taken}; publishing as ${outputPath(name)}`,
+        { source: output.key, entityType: output.entityType }
+      );
+    }
+  }
+}
+
+/**
+ * Incremental builds: remove the previous output of every entity whose planned
+ * folder changed (see planFolderOutputs) before any entity is written, so an entity
+ * taking over a freed folder never lands in a stale one. Those entities are rebuilt.
+ */
+function dropMovedOutputs() {
+  for (const [key, folderName] of plannedEntityFolders) {
+    const cached = buildCache.previous[key];
+    if (!cached || !cached.item || !cached.outputs) continue;
+    const planned = path.join(sanitizeWholePath(path.posix.dirname(key)), folderName);
+    if (cached.outputs[0] !== planned) {
+      removeOutputs(cached.outputs);
+      delete buildCache.previous[key];
+      debug(`Output folder changed, rebuilding: ${key} → ${planned}`);
+    }
+  }
+}
+
+/**
+ * Find a published entity of the type expected by a package dependency folder
+ * ("person", "soundset", …). Returns null if not found or if resolution is off.
+ */
+function lookupCatalogEntity(kind, id) {
+  if (CATALOG_DEPENDENCIES === "off") return null;
+  const published = catalogIdIndex.get(id);
+  const typeDef = entityTypeForPackageFolder(kind);
+  if (!published || !typeDef || published.entityType !== typeDef.type) {
+    return null;
+  }
+  return published;
+}
+
+/**
+ * Group `[{ kind, id, url }]` references by their entity+deps.json key:
+ *   { persons: [{ id, url }], soundSets: [...], … }
+ */
+function groupByDependencyKey(refs) {
+  const grouped = {};
+  for (const { kind, id, url } of refs) {
+    const key = dependencyKeyFor(kind);
+    (grouped[key] = grouped[key] || []).push({ id, url });
+  }
+  return grouped;
+}
+
+/**
+ * Hash of the catalog id index entries of the ids a Program references (recorded by
+ * scanEntitySource). Programs include it in their cache hash, since their
+ * entity+deps.json and dependencyStatus depend on what the catalog publishes for
+ * those ids; entities the Program does not reference never invalidate it.
+ */
+function programDependencyFingerprint(key) {
+  const scanned = buildCache.nextScan[key];
+  const ids = (scanned && scanned.references) || [];
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(ids.map((id) => [id, catalogIdIndex.get(id) || null])))
+    .digest("hex");
+}
+
+/**
+ * Whether a source (POSIX path relative to sourceDir) is published as a Program.
+ */
+function isProgramPath(relPath) {
+  const typeDef = entityTypeForPath(relPath);
+  return Boolean(typeDef && typeDef.type === "Program");
+}
+
+/**
+ * Programs published as a folder or a plain JSON file bundle no dependencies, so
+ * every reference is resolved from the catalog only (see buildAggregatedBlob). The
+ * resulting `dependencyStatus` is added to the digest, like for Program packages.
+ */
+function addProgramDependencyStatus(digest, entityJson, entityDirAbs) {
+  if (digest.entityType !== "Program" || !entityJson.spec) return;
+  digest.dependencyStatus = buildAggregatedBlob(entityJson.spec, entityDirAbs).dependencyStatus;
+}
+
+/**
+ * Record a Program with missing dependencies for the end-of-build summary
+ * (and --strict-dependencies). Returns the item's dependencyStatus, if any.
+ */
+function noteProgramDependencies(item, relPath) {
+  const depStatus = item && item.digest.dependencyStatus;
+  if (depStatus && !depStatus.complete) {
+    incompletePrograms.push({ path: relPath, missing: depStatus.missing });
+  }
+  return depStatus;
+}
+
+/**
+ * "inline" mode: copy the published entity.json of every catalog-linked
+ * dependency into the Program's entity+deps.json. Runs after the whole scan,
+ * once every referenced entity has been written. Replacing by id keeps it
+ * idempotent for Programs reused from a previous incremental build.
+ *
+ * @param {Array} programs  [{ outputDir, linked: [{ kind, id }] }]
+ */
+function inlineCatalogDependencies(programs) {
+  for (const { outputDir, linked } of programs) {
+    const depsPath = path.join(outputDir, "entity+deps.json");
+    const blob = parseJsonFile(depsPath);
+    if (!blob) continue;
+    blob.dependencies = blob.dependencies || {};
+
+    for (const { kind, id } of linked) {
+      const published = catalogIdIndex.get(id);
+      const json = published && parseJsonFile(path.join(STAGING_DIR, published.path, "entity.json"));
+      if (!json) {
+        warn("inline-dependency", `Could not inline ${kind} ${id} into ${path.relative(STAGING_DIR, depsPath)}`, {
+          entityType: "Program",
+        });
+        continue;
+      }
+      const key = dependencyKeyFor(kind);
+      const list = (blob.dependencies[key] || []).filter((d) => !(d.spec && d.spec.id === id));
+      list.push(json);
+      blob.dependencies[key] = list;
+    }
+
+    writeJsonFile(depsPath, blob);
+    debug("Inlined catalog dependencies into", depsPath);
+  }
 }
 
 /* ------------------------------------------------------------------------- */
@@ -732,9 +4350,11 @@ function walkForEntityJson(root) {
     if (fs.existsSync(candidate)) {
       return { entityDir: dir, entityJsonPath: candidate };
     }
-    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-      if (entry.isDirectory()) stack.push(path.join(dir, entry.name));
-    }
+    const subdirs = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .sort((a, b) => compareNames(b.name, a.name)); // reversed: the stack pops in name order
+    for (const entry of subdirs) stack.push(path.join(dir, entry.name));
   }
   return null;
 }
@@ -747,10 +4367,14 @@ function walkForEntityJson(root) {
  * @param {string} folderAbsPath           Absolute path we are scanning
  * @param {string} webRelPathFromPrograms  Path relative to “…/Programs/…”
  *                                         (used to build final URLs)
+ * @param {object} typeDef                 Entity type of the package. Media of every
+ *                                         entity.json in it, dependencies included, is
+ *                                         extracted the package's way (program.png, …)
+ * @param {object} [dependencyTypeDef]     Type of the dependency folder ("person/<id>/", …)
+ *                                         being scanned; plugins see it as the entity type
  */
-function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
+function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms, typeDef, dependencyTypeDef = null) {
   const fsEntries = fs.readdirSync(folderAbsPath, { withFileTypes: true });
-  const topFolder = webRelPathFromPrograms.split("/")[0] || "Programs";
 
   for (const entry of fsEntries) {
     const abs = path.join(folderAbsPath, entry.name);
@@ -761,7 +4385,9 @@ function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
     if (entry.isDirectory()) {
       recursivelyRewriteEntityFolder(
         abs,
-        path.posix.join(webRelPathFromPrograms, entry.name)
+        path.posix.join(webRelPathFromPrograms, entry.name),
+        typeDef,
+        entityTypeForPackageFolder(entry.name) || dependencyTypeDef
       );
       continue;
     }
@@ -773,14 +4399,16 @@ function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
       const json = parseJsonFile(abs);
       if (!json) continue;
 
-      extractEmbeddedMediaAndRewrite(
+      const rewritten = rewriteEntityJson(
         json,                                   // full wrapper object
         path.dirname(abs),                      // on-disk folder
-        getEntityImageFilename(topFolder),      // person.png / feed.png / …
-        path.posix.join(webRelPathFromPrograms, entry.name)
+        dependencyTypeDef || typeDef,
+        path.posix.join(webRelPathFromPrograms, entry.name),
+        Boolean(dependencyTypeDef),
+        typeDef                                 // program.png / person.png / …
       );
 
-      fs.writeFileSync(abs, JSON.stringify(json, null, 2), "utf-8");
+      writeJsonFile(abs, rewritten);
       continue;
     }
 
@@ -788,14 +4416,14 @@ function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
     /* 3) Aggregated entity+deps.json sitting next to the Program         */
     /* ------------------------------------------------------------------ */
     if (entry.name === "entity+deps.json") {
-      const blob = parseJsonFile(abs);
-      if (!blob) continue;
+      const parsed = parseJsonFile(abs);
+      if (!parsed) continue;
 
       /* 3-A  · rewrite the Program spec itself ------------------------- */
-      extractEmbeddedMediaAndRewrite(
-        blob,                                   // program wrapper
+      const blob = rewriteEntityJson(
+        parsed,                                 // program wrapper
         path.dirname(abs),
-        getEntityImageFilename(topFolder),
+        typeDef,
         path.posix.join(webRelPathFromPrograms, entry.name)
       );
 
@@ -804,21 +4432,25 @@ function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
         for (const [depKey, list] of Object.entries(blob.dependencies)) {
           if (!Array.isArray(list)) continue;
 
-          // feeds → feed.png, apiContents → apicontent.png, …
-          const imgFile = getEntityImageFilename(depKey);
+          // feeds → Feed (feed.png), apiContents → ApiContent (apicontent.png), …
+          // The image is named after the dependency but stored the package's way
+          const depType = entityTypeForDependencyKey(depKey);
+          const mediaType = { ...typeDef, imageFile: entityImageFilename(depType) };
 
-          for (const spec of list) {
-            extractEmbeddedMediaAndRewrite(
+          list.forEach((spec, i) => {
+            list[i] = rewriteEntityJson(
               { spec },                         // wrap to match helper sig
               path.dirname(abs),
-              imgFile,
-              path.posix.join(webRelPathFromPrograms, entry.name)
-            );
-          }
+              depType,
+              path.posix.join(webRelPathFromPrograms, entry.name),
+              true,
+              mediaType
+            ).spec;
+          });
         }
       }
 
-      fs.writeFileSync(abs, JSON.stringify(blob, null, 2), "utf-8");
+      writeJsonFile(abs, blob);
       continue;                                // VERY important
     }
 
@@ -839,52 +4471,61 @@ function recursivelyRewriteEntityFolder(folderAbsPath, webRelPathFromPrograms) {
  * @param {string} folderSourcePath  The path of the source folder.
  * @param {string} parentTargetDir   The parent directory in the output where this entity subfolder will go.
  * @param {string} rawRelativePath   Relative path (used to build final URLs).
- * @param {string} folderName        The name of the folder (used in the final subfolder).
+ * @param {string} folderName        The name of the source folder (fallback display name).
+ * @param {string} [outputName]      The output subfolder planned for it (see planFolderOutputs).
  */
-function processEntityFolder(folderSourcePath, parentTargetDir, rawRelativePath, folderName) {
+function processEntityFolder(
+  folderSourcePath,
+  parentTargetDir,
+  rawRelativePath,
+  folderName,
+  outputName = sanitizeForFilesystem(folderName)
+) {
   const entityPath = path.join(folderSourcePath, "entity.json");
   const originalJson = parseJsonFile(entityPath);
   if (!originalJson) {
-    // If parsing fails, skip
-    console.warn("Warning: invalid entity.json in folder:", folderSourcePath);
+    // If parsing fails, skip (parseJsonFile already reported it)
     return null;
   }
 
-  // Derive entity type from the top-level folder name (e.g., "Persons", "Feeds", etc.)
-  const entityType = getTopLevelFolder(rawRelativePath);
+  // Derive entity type from the folder it sits in (e.g., "Persons", "Feeds", etc.)
+  const typeDef = entityTypeForPath(rawRelativePath);
 
   // Build a minimal digest from the entity
-  let digest = buildDigest(originalJson, entityType);
+  const source = entitySourceInfo(folderSourcePath, Math.floor(fs.statSync(entityPath).mtimeMs / 1000));
+  let digest = buildDigest(originalJson, typeDef, source);
 
   // Use the folder name as a fallback if no name is in the JSON
   let displayName = digest.name || folderName;
 
   // Create a corresponding subfolder in the output
-  const entitySubfolder = path.join(parentTargetDir, sanitizeForFilesystem(folderName));
+  const entitySubfolder = path.join(parentTargetDir, outputName);
   ensureDirExists(entitySubfolder);
 
-  // Extract any embedded media (images/audio) and rewrite references in the JSON
-  extractEmbeddedMediaAndRewrite(
+  // Extract any embedded media (images/audio) and rewrite references in the JSON.
+  // URLs are built from the entity.json path, so they include the output subfolder.
+  const finalJson = rewriteEntityJson(
     originalJson,
     entitySubfolder,
-    getEntityImageFilename(entityType),
-    rawRelativePath
+    typeDef,
+    path.posix.join(path.posix.dirname(rawRelativePath), outputName, "entity.json")
   );
 
   // Rebuild the digest after the rewrite (image/audio references may have changed)
-  digest = buildDigest(originalJson, entityType);
+  digest = buildDigest(finalJson, typeDef, source);
   if (!digest.name) {
     digest.name = displayName;
   }
+  addProgramDependencyStatus(digest, finalJson, entitySubfolder);
 
   // Write out the final entity.json
   const finalJsonPath = path.join(entitySubfolder, "entity.json");
-  fs.writeFileSync(finalJsonPath, JSON.stringify(originalJson, null, 2), "utf-8");
-  console.log(`Wrote final JSON => ${finalJsonPath}`);
+  writeJsonFile(finalJsonPath, finalJson);
+  debug(`Wrote final JSON => ${finalJsonPath}`);
 
   // Return an index entry to the parent folder
   const parentDir = path.posix.dirname(rawRelativePath);
-  const subfolderName = sanitizeForFilesystem(folderName);
+  const subfolderName = outputName;
   const finalPath =
     parentDir === "." || !parentDir
       ? subfolderName
@@ -906,20 +4547,24 @@ function processEntityFolder(folderSourcePath, parentTargetDir, rawRelativePath,
  * @param {string} sourcePath        The .json file to read.
  * @param {string} parentTargetDir   Where to create the subfolder in the output.
  * @param {string} rawRelativePath   Relative path for building final URLs.
+ * @param {string} [outputName]      The subfolder planned for it (see planFolderOutputs);
+ *                                   defaults to the file's base name.
  */
-function processEntityJson(sourcePath, parentTargetDir, rawRelativePath) {
+function processEntityJson(sourcePath, parentTargetDir, rawRelativePath, outputName) {
   const originalJson = parseJsonFile(sourcePath);
   if (!originalJson) {
-    // If parsing fails, just copy the file as-is (fallback).
+    // If parsing fails, just copy the file as-is (fallback), tracked like any copied file
+    // so it is removed from the output once the source is fixed or deleted.
     const fallbackName = path.basename(sourcePath);
     const fallbackTarget = path.join(parentTargetDir, fallbackName);
-    copyFile(sourcePath, fallbackTarget);
+    copyFileCached(sourcePath, fallbackTarget);
     return null;
   }
 
-  // Identify entity type from the top-level folder
-  const entityType = getTopLevelFolder(rawRelativePath);
-  let digest = buildDigest(originalJson, entityType);
+  // Identify entity type from the folder it sits in
+  const typeDef = entityTypeForPath(rawRelativePath);
+  const source = entitySourceInfo(sourcePath);
+  let digest = buildDigest(originalJson, typeDef, source);
 
   // Fallback to the file's base name if we don't have a name in the JSON
   let baseName = stripJsonExtension(path.basename(sourcePath));
@@ -928,31 +4573,35 @@ function processEntityJson(sourcePath, parentTargetDir, rawRelativePath) {
   }
 
   // Create the subfolder for this entity
-  const entitySubfolder = path.join(parentTargetDir, sanitizeForFilesystem(baseName));
+  const subfolderName = outputName || sanitizeForFilesystem(baseName);
+  const entitySubfolder = path.join(parentTargetDir, subfolderName);
   ensureDirExists(entitySubfolder);
 
-  // Extract embedded media and rewrite references
-  extractEmbeddedMediaAndRewrite(
+  // Extract embedded media and rewrite references. URLs are derived from the file
+  // name, so a renamed subfolder (name collision) is passed in its place.
+  const finalJson = rewriteEntityJson(
     originalJson,
     entitySubfolder,
-    getEntityImageFilename(entityType),
-    rawRelativePath
+    typeDef,
+    subfolderName === sanitizeForFilesystem(baseName)
+      ? rawRelativePath
+      : path.posix.join(path.posix.dirname(rawRelativePath), `${subfolderName}.json`)
   );
 
   // Rebuild digest in case references changed
-  digest = buildDigest(originalJson, entityType);
+  digest = buildDigest(finalJson, typeDef, source);
   if (!digest.name) {
     digest.name = baseName;
   }
+  addProgramDependencyStatus(digest, finalJson, entitySubfolder);
 
   // Write the final entity.json
   const finalJsonPath = path.join(entitySubfolder, "entity.json");
-  fs.writeFileSync(finalJsonPath, JSON.stringify(originalJson, null, 2), "utf-8");
-  console.log("Wrote final JSON (entity.json):", finalJsonPath);
+  writeJsonFile(finalJsonPath, finalJson);
+  debug("Wrote final JSON (entity.json):", finalJsonPath);
 
   // Return the index entry describing this entity
   const parentDir = path.posix.dirname(rawRelativePath);
-  const subfolderName = sanitizeForFilesystem(baseName);
   const finalPath =
     parentDir === "." || !parentDir
       ? subfolderName
@@ -967,49 +4616,61 @@ function processEntityJson(sourcePath, parentTargetDir, rawRelativePath) {
 }
 
 /**
- * Extract the top-level folder name from the path.
- * For example: "Persons/Featured/David.json" => "Persons"
+ * Find the entity type of a source from its POSIX path relative to sourceDir
+ * ("Radio/Programs/Show.zip"), by matching the folders containing it against the
+ * `folders` patterns of ENTITY_TYPES. A pattern is a folder path compared from the
+ * repository root, case-insensitively, and also covers every subfolder; a "*" segment
+ * matches any single folder (so one pattern can cover Japan/Shows and Europe/Shows).
+ * The most specific (longest) pattern wins:
+ *   "Programs"       → Programs/Show.zip, Programs/Featured/Show.zip
+ *   "Radio/Programs" → Radio/Programs/Show.zip
  *
- * @param {string} webRelativePath  The relative path
- * @returns {string} The top-level folder name
+ * @param {string} relPath  Path of the entity source (zip, JSON file or entity folder).
+ * @returns {object|null}   The entity type definition, or null outside every typed folder.
+ */
+function entityTypeForPath(relPath) {
+  const folders = String(relPath).split(path.sep).join("/").split("/").slice(0, -1);
+  let best = null;
+  let bestLength = 0;
+  for (const def of ENTITY_TYPES) {
+    for (const pattern of def.folders || []) {
+      const segments = pattern.split("/").filter(Boolean);
+      if (segments.length <= bestLength || segments.length > folders.length) continue;
+      const matches = segments.every(
+        (segment, i) => segment === "*" || segment.toLowerCase() === folders[i].toLowerCase()
+      );
+      if (matches) {
+        best = def;
+        bestLength = segments.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the entity type of a dependency folder inside an exported package
+ * ("person", "soundset", …), or null.
+ */
+function entityTypeForPackageFolder(folderName) {
+  return ENTITY_TYPES.find((def) => def.packageFolder === folderName) || null;
+}
+
+/**
+ * Find the entity type of a list under `dependencies` in entity+deps.json
+ * ("persons", "soundSets", …), or null.
  */
-function getTopLevelFolder(webRelativePath) {
-  if (!webRelativePath) return "";
-  const slashIndex = webRelativePath.indexOf("/");
-  return slashIndex === -1
-    ? webRelativePath
-    : webRelativePath.substring(0, slashIndex);
+function entityTypeForDependencyKey(key) {
+  return ENTITY_TYPES.find((def) => def.dependencyKey === key) || null;
 }
 
 /**
- * Determine the appropriate filename for an entity's image when extracted from base64.
+ * The file name for an entity's image when extracted from base64 (e.g. "person.png").
  *
- * @param {string} entityType  The type of entity (e.g. "Persons", "SoundSets", etc.)
- * @returns {string}           The filename to use (e.g. "person.png")
- */
-function getEntityImageFilename(entityType) {
-  switch (entityType.toLowerCase()) {
-    case "persons":
-      return "person.png";
-    case "feeds":
-      return "feed.png";
-    case "soundsets":
-      return "soundset.png";
-    case "generativeais":
-      return "generativeai.png";
-    case "pagecontents":
-      return "pagecontent.png";
-    case "apicontents":
-      return "apicontent.png";
-    case "programs":
-      return "program.png";
-    case "broadcasts":
-      return "broadcast.png";
-    case "catalogs":
-      return "catalog.png";
-    default:
-      return "entity.png";
-  }
+ * @param {object|null} typeDef  The entity type definition (see ENTITY_TYPES).
+ */
+function entityImageFilename(typeDef) {
+  return (typeDef && typeDef.imageFile) || "entity.png";
 }
 
 /**
@@ -1039,7 +4700,8 @@ function setApiContentImageSource(spec, absoluteUrl) {
 
 /**
  * Recursively convert **every** `{kind:"local"| "generated", url:"…"}` sound
- * reference in the given object tree to `{kind:"remote", url:"<BASE_URL>/…"}`.
+ * reference in the given object tree to `{kind:"remote", url:"<BASE_URL>/…"}`
+ * (see catalogUrl()).
  *
  * This covers:
  *   • soundElement                     →  entity.soundSource
@@ -1068,7 +4730,7 @@ function rewriteSoundSourceToRemote(node, parentRel) {
 
     node.soundSource = {
       kind: "remote",
-      url: `${BASE_URL}/${relAudioPath}`,
+      url: catalogUrl(relAudioPath),
     };
   }
 
@@ -1084,23 +4746,24 @@ function rewriteSoundSourceToRemote(node, parentRel) {
  *
  * Steps:
  * 1) If `spec.embeddedImageBase64` is present, decode and write out an image file,
- *    then rewrite `spec.imageSource` or `spec.extraData.data.imageSourceJson` to a remote reference.
- * 2) If it's a SoundSet, look for embedded audio in certain keys and decode each
- *    to a "sounds/<elementId>/<filename>" path, then rewrite `soundSource` to `kind:"remote"`.
+ *    then rewrite `spec.imageSource` or `spec.extraData.data.imageSourceJson` to a remote
+ *    reference, depending on the type's `imageStorage`.
+ * 2) If the type declares `audioKeys` (SoundSets), decode the embedded audio of each
+ *    element to a "sounds/<elementId>/<filename>" path, then rewrite `soundSource` to `kind:"remote"`.
  *
  * @param {object} json             The entity JSON object (parsed).
  * @param {string} entitySubfolder  The local subfolder to place extracted files (under the targetDir).
- * @param {string} imageFileName    The file name to use for extracted images (e.g. "person.png").
- * @param {string} rawRelativePath  A path used to determine the top-level folder and form final URLs.
+ * @param {object|null} typeDef     The entity type (see ENTITY_TYPES); null for untyped JSON.
+ * @param {string} rawRelativePath  A path used to form final URLs.
  */
 function extractEmbeddedMediaAndRewrite(
   json,
   entitySubfolder,
-  imageFileName,
+  typeDef,
   rawRelativePath
 ) {
   const spec = json.spec || {};
-  const entityType = getTopLevelFolder(rawRelativePath);
+  const imageFileName = entityImageFilename(typeDef);
 
   // Determine the *real* folder that contains the entity assets.
   // • For single-file entities (…/Foo.json) we add the file-basename,
@@ -1130,12 +4793,7 @@ function extractEmbeddedMediaAndRewrite(
   }
 
   // For certain entities (ApiContent, GenerativeAi, etc.) we store image in extraData
-  const isApiContentFamily = [
-    "apicontents",
-    "generativeais",
-    "pagecontents",
-    "catalogs",
-  ].includes(entityType.toLowerCase());
+  const isApiContentFamily = Boolean(typeDef && typeDef.imageStorage === "extraData");
 
   // 1) If there's an embedded base64 image, decode it (unchanged logic)
   if (spec.embeddedImageBase64) {
@@ -1144,13 +4802,12 @@ function extractEmbeddedMediaAndRewrite(
       delete spec.embeddedImageBase64;
 
       const fullImagePathOnDisk = path.join(entitySubfolder, imageFileName);
-      fs.writeFileSync(fullImagePathOnDisk, buffer);
-      console.log("Wrote embedded image:", fullImagePathOnDisk);
+      replaceFile(fullImagePathOnDisk, buffer);
+      debug("Wrote embedded image:", fullImagePathOnDisk);
 
-      const absoluteImageUrl = `${BASE_URL}/${path.posix.join(
-        sanitizeForFilesystem(parentRel),
-        imageFileName
-      )}`;
+      const absoluteImageUrl = catalogUrl(
+        path.posix.join(sanitizeForFilesystem(parentRel), imageFileName)
+      );
 
       if (isApiContentFamily) {
         setApiContentImageSource(spec, absoluteImageUrl);
@@ -1159,7 +4816,10 @@ function extractEmbeddedMediaAndRewrite(
         spec.imageSource = { kind: "remote", url: absoluteImageUrl };
       }
     } catch (err) {
-      console.warn("Failed to decode embeddedImageBase64:", err);
+      warn("invalid-media", `Failed to decode embeddedImageBase64: ${err.message}`, {
+        source: rawRelativePath,
+        entityType: typeDef && typeDef.type,
+      });
     }
 
   // 2) If it’s "local" or "generated" but references, say, "images/cover.png",
@@ -1174,7 +4834,7 @@ function extractEmbeddedMediaAndRewrite(
       sanitizeForFilesystem(parentRel),
       localRel
     );
-    const absoluteImageUrl = `${BASE_URL}/${finalRelImagePath}`;
+    const absoluteImageUrl = catalogUrl(finalRelImagePath);
 
     if (isApiContentFamily) {
       setApiContentImageSource(spec, absoluteImageUrl);
@@ -1185,8 +4845,8 @@ function extractEmbeddedMediaAndRewrite(
   }
 
   // 3) SoundSet audio extraction (same logic as before)
-  if (entityType.toLowerCase() === "soundsets") {
-    const audioKeys = ["openingBGM", "talkBGM", "newsBGM", "endingBGM", "jingleBGM"];
+  const audioKeys = (typeDef && typeDef.audioKeys) || [];
+  if (audioKeys.length) {
     const soundsFolder = path.join(entitySubfolder, "sounds");
     ensureDirExists(soundsFolder);
 
@@ -1205,7 +4865,8 @@ function extractEmbeddedMediaAndRewrite(
 
         try {
           const audioBuffer = Buffer.from(b64, "base64");
-          const elementId = element.id || generateUUID();
+          // Stable fallback: derived from where the element sits in the entity
+          const elementId = element.id || uuidFromSeed(`sound:${parentRel}/${key}/${i}`);
           const extension = embeddedFileName ? path.extname(embeddedFileName) : ".m4a";
           const baseOfFileName = embeddedFileName
             ? path.basename(embeddedFileName, extension)
@@ -1216,7 +4877,7 @@ function extractEmbeddedMediaAndRewrite(
           ensureDirExists(elementSubFolder);
 
           const audioPathOnDisk = path.join(elementSubFolder, finalFileName);
-          fs.writeFileSync(audioPathOnDisk, audioBuffer);
+          replaceFile(audioPathOnDisk, audioBuffer);
 
           const finalRelativeAudio = path.posix.join(
             sanitizeForFilesystem(parentRel),
@@ -1224,16 +4885,19 @@ function extractEmbeddedMediaAndRewrite(
             elementId,
             finalFileName
           );
-          const absoluteAudioUrl = `${BASE_URL}/${finalRelativeAudio}`;
+          const absoluteAudioUrl = catalogUrl(finalRelativeAudio);
 
           element.soundSource = {
             kind: "remote",
             url: absoluteAudioUrl,
           };
 
-          console.log("Wrote embedded audio =>", audioPathOnDisk);
+          debug("Wrote embedded audio =>", audioPathOnDisk);
         } catch (audioErr) {
-          console.warn("Failed to decode embeddedSoundBase64:", audioErr);
+          warn("invalid-media", `Failed to decode embeddedSoundBase64: ${audioErr.message}`, {
+            source: rawRelativePath,
+            entityType: typeDef && typeDef.type,
+          });
         }
       }
     }
@@ -1251,43 +4915,33 @@ function extractEmbeddedMediaAndRewrite(
 
 /**
  * Build a "digest" object that describes an entity in minimal form (id, name, etc.).
- * The structure depends on the entity type.
+ * The structure depends on the entity type: built-in types use their parser,
+ * other types get the common fields. Every type then adds its `digestFields`, and
+ * plugins their own fields (see the `digest` hook).
  *
  * @param {object} rootJson       The parsed entity JSON, expected to have a `spec` field.
- * @param {string} topFolderName  The name of the top-level folder, indicating entity type.
+ * @param {object|null} typeDef   The entity type (see ENTITY_TYPES); null for untyped JSON.
+ * @param {object} [src]          Source info ({ key, mtime }, see entitySourceInfo()) used
+ *                                for a stable id / lastModified when the spec lacks them.
  * @returns {object}              The constructed digest with standard fields.
  */
-function buildDigest(rootJson, topFolderName) {
+function buildDigest(rootJson, typeDef, src = {}) {
   const m = rootJson.spec || {};
-  switch (topFolderName.toLowerCase()) {
-    case "persons":
-      return parsePersonDigest(m);
-    case "feeds":
-      return parseFeedDigest(m);
-    case "soundsets":
-      return parseSoundSetDigest(m);
-    case "generativeais":
-      return parseGenerativeAiDigest(m);
-    case "pagecontents":
-      return parsePageContentDigest(m);
-    case "apicontents":
-      return parseApiContentDigest(m);
-    case "programs":
-      return parseProgramDigest(m);
-    case "broadcasts":
-      return parseBroadcastDigest(m);
-    case "catalogs":
-      return parseCatalogDigest(m);
-    default:
-      // Unknown folder => build a generic digest
-      return {
-        entityType: "Unknown",
-        id: m.id || generateUUID(),
-        name: m.name || "",
-        lastModified: toUnixEpochSeconds(m.lastModified),
-        imageSource: decodeImageSource(m),
-      };
+  const digest =
+    typeDef && typeDef.digest
+      ? typeDef.digest(m, src)
+      : {
+          // Declared in config (or outside every typed folder) => build a generic digest
+          entityType: typeDef ? typeDef.type : "Unknown",
+          id: m.id || synthesizeEntityId(src),
+          name: m.name || "",
+          lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
+          imageSource: decodeImageSource(m),
+        };
+  for (const field of (typeDef && typeDef.digestFields) || []) {
+    if (m[field] !== undefined && digest[field] === undefined) digest[field] = m[field];
   }
+  return runPluginHook("digest", digest, rootJson, { entityType: digest.entityType, source: src });
 }
 
 //------------------------------------
@@ -1297,109 +4951,109 @@ function buildDigest(rootJson, topFolderName) {
 /**
  * Parse a Person digest from `spec`, capturing the fields relevant to a Person.
  */
-function parsePersonDigest(m) {
+function parsePersonDigest(m, src = {}) {
   return {
     entityType: "Person",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     personality: m.personality || "dj",
     voice: m.voice || "",
     imageSource: decodeImageSource(m),
     type: m.type || "userdefined",
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse a Feed digest from `spec`.
  */
-function parseFeedDigest(m) {
+function parseFeedDigest(m, src = {}) {
   return {
     entityType: "Feed",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     source: m.source || "",
     url: m.url || null,
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse a SoundSet digest from `spec`.
  */
-function parseSoundSetDigest(m) {
+function parseSoundSetDigest(m, src = {}) {
   return {
     entityType: "SoundSet",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     imageSource: decodeImageSource(m),
     type: m.type || "userdefined",
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse a GenerativeAi digest from `spec`.
  */
-function parseGenerativeAiDigest(m) {
+function parseGenerativeAiDigest(m, src = {}) {
   return {
     entityType: "GenerativeAi",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     endpoint: m.endpoint || "",
     contentType: m.contentType || "TEXT",
     description: m.description || null,
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse a PageContent digest from `spec`.
  */
-function parsePageContentDigest(m) {
+function parsePageContentDigest(m, src = {}) {
   return {
     entityType: "PageContent",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     endpoint: m.endpoint || "",
     contentType: m.contentType || "PAGE",
     description: m.description || null,
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse an ApiContent digest from `spec`.
  */
-function parseApiContentDigest(m) {
+function parseApiContentDigest(m, src = {}) {
   return {
     entityType: "ApiContent",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     endpoint: m.endpoint || "",
     contentType: m.contentType || "TEXT",
     description: m.description || null,
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
 /**
  * Parse a Program digest from `spec`.
  */
-function parseProgramDigest(m) {
+function parseProgramDigest(m, src = {}) {
   return {
     entityType: "Program",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     lang: m.lang || { code: "en", language: "english" },
     description: m.description || null,
     programMode: m.programMode || "Basic",
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
@@ -1407,7 +5061,7 @@ function parseProgramDigest(m) {
  * Parse a Broadcast digest from `spec`.
  * The name field is derived from the 'headline' array if present.
  */
-function parseBroadcastDigest(m) {
+function parseBroadcastDigest(m, src = {}) {
   const broadcastName =
     Array.isArray(m.headline) && m.headline.length > 0
       ? m.headline.join(", ")
@@ -1415,15 +5069,15 @@ function parseBroadcastDigest(m) {
 
   return {
     entityType: "Broadcast",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     programId: m.programId || null,
     soundSetId: m.soundSetId || null,
     name: broadcastName,
     headline: Array.isArray(m.headline) ? m.headline : [],
     estimatedTime: m.estimatedTime || null,
-    generatedTime: toUnixEpochSeconds(m.generatedTime),
+    generatedTime: toUnixEpochSeconds(m.generatedTime, src.mtime),
     status: m.status || "composing",
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
     imageSource: decodeImageSource(m),
   };
 }
@@ -1431,15 +5085,15 @@ function parseBroadcastDigest(m) {
 /**
  * Parse a Catalog digest from `spec`.
  */
-function parseCatalogDigest(m) {
+function parseCatalogDigest(m, src = {}) {
   return {
     entityType: "Catalog",
-    id: m.id || generateUUID(),
+    id: m.id || synthesizeEntityId(src),
     name: m.name || "",
     endpoint: m.endpoint || "",
     description: m.description || null,
     imageSource: decodeImageSource(m),
-    lastModified: toUnixEpochSeconds(m.lastModified),
+    lastModified: toUnixEpochSeconds(m.lastModified, src.mtime),
   };
 }
 
@@ -1463,7 +5117,7 @@ function decodeImageSource(specObj) {
     try {
       return JSON.parse(specObj.extraData.data.imageSourceJson);
     } catch (e) {
-      console.warn("Invalid JSON in imageSourceJson:", e);
+      warn("invalid-media", `Invalid JSON in imageSourceJson: ${e.message}`);
       return { kind: "bundle", name: "no_image" };
     }
   }
@@ -1471,5 +5125,373 @@ function decodeImageSource(specObj) {
   return { kind: "bundle", name: "no_image" };
 }
 
-// Run the main process
-main();
+//------------------------------------
+// Schema validation (`validate` command)
+//------------------------------------
+
+/*
+ * Field descriptors understood by validateValue():
+ *   type:     "string" | "number" | "boolean" | "object" | "array" (or a list of them)
+ *   required: true if the field must be present
+ *   enum:     allowed values
+ *   fields:   descriptors of an object's fields
+ *   items:    descriptor applied to every array element
+ */
+
+const IMAGE_SOURCE_FIELD = {
+  type: "object",
+  fields: {
+    kind: { type: "string", required: true, enum: ["local", "generated", "remote", "bundle"] },
+    url: { type: "string" },
+    name: { type: "string" },
+  },
+};
+
+const SOUND_ELEMENT_LIST_FIELD = {
+  type: "array",
+  items: {
+    type: "object",
+    fields: {
+      id: { type: "string" },
+      embeddedSoundBase64: { type: "string" },
+      embeddedSoundFileName: { type: "string" },
+    },
+  },
+};
+
+const COMMON_FIELDS = {
+  id: { type: "string", required: true },
+  name: { type: "string", required: true },
+  description: { type: "string" },
+  imageSource: IMAGE_SOURCE_FIELD,
+  embeddedImageBase64: { type: "string" },
+  lastModified: { type: ["string", "number"] },
+};
+
+const UUID_LIST_FIELD = { type: "array", items: { type: "string" } };
+
+/**
+ * Declared schema of `spec` for every entity type.
+ */
+const ENTITY_SCHEMAS = {
+  Person: {
+    ...COMMON_FIELDS,
+    personality: { type: "string" },
+    voice: { type: "string" },
+    type: { type: "string", enum: ["userdefined", "predefined"] },
+  },
+  Feed: {
+    ...COMMON_FIELDS,
+    url: { type: "string", required: true },
+    source: { type: "string" },
+  },
+  SoundSet: {
+    ...COMMON_FIELDS,
+    type: { type: "string", enum: ["userdefined", "predefined"] },
+    openingBGM: SOUND_ELEMENT_LIST_FIELD,
+    talkBGM: SOUND_ELEMENT_LIST_FIELD,
+    newsBGM: SOUND_ELEMENT_LIST_FIELD,
+    endingBGM: SOUND_ELEMENT_LIST_FIELD,
+    jingleBGM: SOUND_ELEMENT_LIST_FIELD,
+  },
+  SoundElement: {
+    id: { type: "string", required: true },
+    name: { type: "string" },
+    type: { type: "string", enum: ["userdefined", "preInstalled"] },
+    soundSource: { type: "object", fields: { kind: { type: "string", required: true } } },
+  },
+  GenerativeAi: {
+    ...COMMON_FIELDS,
+    endpoint: { type: "string", required: true },
+    contentType: { type: "string", enum: ["TEXT", "IMAGE", "AUDIO"] },
+  },
+  PageContent: {
+    ...COMMON_FIELDS,
+    endpoint: { type: "string", required: true },
+    contentType: { type: "string", enum: ["PAGE", "TEXT"] },
+  },
+  ApiContent: {
+    ...COMMON_FIELDS,
+    endpoint: { type: "string", required: true },
+    contentType: { type: "string", enum: ["TEXT", "IMAGE", "AUDIO", "JSON"] },
+  },
+  Program: {
+    ...COMMON_FIELDS,
+    lang: {
+      type: "object",
+      fields: {
+        code: { type: "string", required: true },
+        language: { type: "string" },
+      },
+    },
+    programMode: { type: "string" },
+    personalityIds: UUID_LIST_FIELD,
+    feedIds: UUID_LIST_FIELD,
+    apiContentIds: UUID_LIST_FIELD,
+    pageContentIds: UUID_LIST_FIELD,
+    soundSetId: { type: "string" },
+    generatorModelId: { type: "string" },
+    summarizerModelId: { type: "string" },
+    translatorModelId: { type: "string" },
+    coverImageModelId: { type: "string" },
+    programSegments: { type: "array", items: { type: "object" } },
+  },
+  Broadcast: {
+    id: COMMON_FIELDS.id,
+    programId: { type: "string", required: true },
+    soundSetId: { type: "string" },
+    headline: { type: "array", required: true, items: { type: "string" } },
+    estimatedTime: { type: ["string", "number"] },
+    generatedTime: { type: ["string", "number"] },
+    status: { type: "string" },
+    imageSource: IMAGE_SOURCE_FIELD,
+    lastModified: COMMON_FIELDS.lastModified,
+  },
+  Catalog: {
+    ...COMMON_FIELDS,
+    endpoint: { type: "string", required: true },
+  },
+};
+
+/**
+ * Type name of a JSON value as used in the schema descriptors.
+ */
+function jsonTypeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Check `value` against a field descriptor, pushing `{ jsonPath, message }`
+ * into `problems` for every mismatch (recursing into objects and arrays).
+ */
+function validateValue(value, descriptor, jsonPath, problems) {
+  const allowedTypes = [].concat(descriptor.type || []);
+  const actualType = jsonTypeOf(value);
+  if (allowedTypes.length && !allowedTypes.includes(actualType)) {
+    problems.push({ jsonPath, message: `expected ${allowedTypes.join(" or ")}, got ${actualType}` });
+    return;
+  }
+  if (descriptor.enum && !descriptor.enum.includes(value)) {
+    problems.push({
+      jsonPath,
+      message: `unexpected value ${JSON.stringify(value)} (allowed: ${descriptor.enum.join(", ")})`,
+    });
+  }
+  if (descriptor.fields && actualType === "object") {
+    for (const [key, fieldDescriptor] of Object.entries(descriptor.fields)) {
+      const fieldPath = `${jsonPath}.${key}`;
+      if (value[key] === undefined || value[key] === null) {
+        if (fieldDescriptor.required) {
+          problems.push({ jsonPath: fieldPath, message: "missing required field" });
+        }
+        continue;
+      }
+      validateValue(value[key], fieldDescriptor, fieldPath, problems);
+    }
+  }
+  if (descriptor.items && actualType === "array") {
+    value.forEach((item, i) => validateValue(item, descriptor.items, `${jsonPath}[${i}]`, problems));
+  }
+}
+
+/**
+ * Validate one parsed entity JSON (the `{ spec: … }` wrapper) against the schema of its type.
+ *
+ * @param {object} json        The parsed entity JSON.
+ * @param {string} entityType  Key of ENTITY_SCHEMAS (e.g. "Person").
+ * @returns {Array}            List of `{ jsonPath, message }` problems (empty if valid).
+ */
+function validateEntityJson(json, entityType) {
+  const problems = [];
+  validateValue(
+    json,
+    {
+      type: "object",
+      fields: { spec: { type: "object", required: true, fields: ENTITY_SCHEMAS[entityType] } },
+    },
+    "$",
+    problems
+  );
+  return problems;
+}
+
+/**
+ * Find the dependency entity type of an "…/<folder>/<id>/entity.json" path
+ * inside a package, or null for the package's own entity.json.
+ */
+function packageDependencyType(entityJsonRelPath) {
+  const segments = entityJsonRelPath.split("/");
+  if (segments.length < 3) return null;
+  const typeDef = entityTypeForPackageFolder(segments[segments.length - 3]);
+  return typeDef ? typeDef.type : null;
+}
+
+/**
+ * Validate every entity.json inside a package, given as a list of
+ * `{ relPath, read() }` entries (from a zip or from a folder on disk).
+ * The shallowest entity.json is the package's own entity; deeper ones are
+ * dependencies typed by their parent folder name.
+ */
+function validatePackageEntries(entries, entityType, sourceLabel, report) {
+  const entityJsons = entries
+    .filter((e) => path.posix.basename(e.relPath) === "entity.json")
+    .sort((a, b) => a.relPath.split("/").length - b.relPath.split("/").length);
+  if (!entityJsons.length) {
+    report.push({ file: sourceLabel, jsonPath: "$", message: "no entity.json in package" });
+    return;
+  }
+
+  entityJsons.forEach((entry, i) => {
+    const type = i === 0 ? entityType : packageDependencyType(entry.relPath);
+    if (!type) return;
+    const file = `${sourceLabel}!${entry.relPath}`;
+    let text;
+    try {
+      text = entry.read();
+    } catch (err) {
+      report.push({ file, jsonPath: "$", message: `unreadable (${err.message})` });
+      return;
+    }
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      report.push({ file, jsonPath: "$", message: `invalid JSON (${err.message})` });
+      return;
+    }
+    for (const problem of validateEntityJson(json, type)) {
+      report.push({ file, ...problem });
+    }
+  });
+}
+
+/**
+ * List the files of a folder as `{ relPath, read() }` entries (POSIX paths).
+ */
+function listFolderEntries(folderAbs) {
+  const entries = [];
+  (function visit(dir, rel) {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const abs = path.join(dir, dirent.name);
+      const childRel = rel ? `${rel}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        visit(abs, childRel);
+      } else {
+        entries.push({ relPath: childRel, read: () => fs.readFileSync(abs, "utf-8") });
+      }
+    }
+  })(folderAbs, "");
+  return entries;
+}
+
+/**
+ * Walk the repository like recurseAndBuildAllIndexes() does, but only read:
+ * every zip, JSON file and entity folder in a typed folder (see ENTITY_TYPES) is
+ * validated against its schema. Nothing is written.
+ *
+ * Each problem is printed as "<source file>  <JSON path>  <message>".
+ *
+ * @returns {boolean} true if no problems were found.
+ */
+function validateRepository() {
+  const report = [];
+  let checked = 0;
+
+  (function visit(dirAbs, relPath) {
+    for (const entry of fs.readdirSync(dirAbs, { withFileTypes: true })) {
+      if (isIgnoredSourceEntry(entry.name)) {
+        continue;
+      }
+      const abs = path.join(dirAbs, entry.name);
+      const rel = relPath ? `${relPath}/${entry.name}` : entry.name;
+      const typeDef = entityTypeForPath(rel);
+      const entityType = typeDef && typeDef.type;
+
+      // Drafts are validated too, so they are ready when published
+      const flagsFile = cacheKeyFor(publishFlagsPath(abs, entry.isDirectory()));
+      for (const problem of validatePublishFlags(readPublishFlags(abs, entry.isDirectory()))) {
+        report.push({ file: flagsFile, ...problem });
+      }
+
+      if (entry.isDirectory()) {
+        if (!fs.existsSync(path.join(abs, "entity.json"))) {
+          visit(abs, rel);
+        } else if (entityType) {
+          checked++;
+          validatePackageEntries(listFolderEntries(abs), entityType, rel, report);
+        }
+        continue;
+      }
+      if (!entityType) continue;
+
+      const ext = path.extname(entry.name).toLowerCase();
+      if (ext === ".zip") {
+        checked++;
+        let zipEntries;
+        try {
+          const zip = new AdmZip(abs);
+          const zipProblems = inspectZipEntries(zip);
+          if (zipProblems.length) {
+            for (const message of zipProblems) report.push({ file: rel, jsonPath: "$", message });
+            continue;
+          }
+          // Inflated with the build's limits, so a zip bomb cannot exhaust memory here either
+          let totalBytes = 0;
+          const read = (e) => {
+            const data = readZipEntryBounded(
+              e,
+              Math.min(ZIP_LIMITS.maxFileBytes, ZIP_LIMITS.maxTotalBytes - totalBytes)
+            );
+            totalBytes += data.length;
+            return data.toString("utf-8");
+          };
+          zipEntries = zip
+            .getEntries()
+            .filter((e) => !e.isDirectory && !isZipJunkEntry(e.entryName))
+            .map((e) => ({ relPath: e.entryName, read: () => read(e) }));
+        } catch (err) {
+          report.push({ file: rel, jsonPath: "$", message: `unreadable zip (${err.message})` });
+          continue;
+        }
+        validatePackageEntries(zipEntries, entityType, rel, report);
+      } else if (ext === ".json") {
+        checked++;
+        const json = parseJsonFile(abs);
+        if (!json) {
+          report.push({ file: rel, jsonPath: "$", message: "invalid JSON" });
+          continue;
+        }
+        for (const problem of validateEntityJson(json, entityType)) {
+          report.push({ file: rel, ...problem });
+        }
+      }
+    }
+  })(SOURCE_DIR, "");
+
+  for (const problem of report) {
+    console.error(`${problem.file}  ${problem.jsonPath}  ${problem.message}`);
+  }
+  log(`Validated ${checked} entities: ${report.length} problem(s) found.`);
+  return report.length === 0;
+}
+
+module.exports = {
+  generateCatalog,
+  configure,
+  validateRepository,
+  verifyDocsTree,
+  checkDocsTree,
+  rebaseDocsTree,
+  // Per-entity helpers; they use the settings of the last configure() / generateCatalog()
+  entityTypeForPath,
+  buildDigest,
+  extractEmbeddedMediaAndRewrite,
+  validateEntityJson,
+};
+
+// Run the command line only when executed directly, not when required as a library
+if (require.main === module) {
+  runCli();
+}
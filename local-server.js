@@ -6,6 +6,13 @@
  * A minimal Node.js HTTP server that serves files from the folder specified 
  * by "targetDir" in config.json (often the "docs" directory) on http://localhost:3000.
  *
+ * It also answers `/search?q=…&type=…&lang=…` from the search-index.json written by
+ * generate-index.js, for testing catalog search locally.
+ *
+ * Clients (test harnesses, the app's debug build) can subscribe to `/events`, a
+ * Server-Sent Events stream announcing every finished build with the paths it changed,
+ * e.g. while `node generate-index.js --watch` runs.
+ *
  * Usage:
  *   node local-server.js
  */
@@ -46,6 +53,12 @@ const PORT = 3000;
 // in case your SwiftUI app or other front-end is on a different localhost port.
 const ENABLE_CORS = true;
 
+// Written last by every build; a change means a new build was swapped into place
+const INTEGRITY_MANIFEST_PATH = path.join(ROOT_DIR, "integrity.json");
+
+// Responses of the clients connected to `/events`
+const eventClients = new Set();
+
 /**
  * A helper function to safely resolve a requested file path.
  * Prevents directory traversal (e.g., "../" attempts).
@@ -78,11 +91,128 @@ function getContentType(filePath) {
       return "image/jpeg";
     case ".gif":
       return "image/gif";
+    case ".zip":
+      return "application/zip";
     default:
       return "application/octet-stream";
   }
 }
 
+/**
+ * Normalize text into search tokens. Must match searchTokens() in generate-index.js.
+ */
+function searchTokens(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}+/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Answer `/search?q=…&type=…&lang=…` from the generated search-index.json.
+ * `lang` only narrows entries that have a language (Programs), by primary code.
+ * Every query token must be contained in one of an entry's tokens (so partial
+ * words match); `type` (e.g. "Person") filters by entity type, case-insensitively.
+ * The index is re-read on each request, so a rebuild is picked up immediately.
+ */
+function serveSearch(searchParams, res) {
+  fs.readFile(path.join(ROOT_DIR, "search-index.json"), "utf-8", (err, raw) => {
+    if (err) {
+      return notFound(res);
+    }
+    let index;
+    try {
+      index = JSON.parse(raw);
+    } catch (parseErr) {
+      return internalError(res);
+    }
+
+    const query = searchParams.get("q") || "";
+    const type = (searchParams.get("type") || "").toLowerCase();
+    const lang = (searchParams.get("lang") || "").toLowerCase().split(/[-_]/)[0];
+    const queryTokens = searchTokens(query);
+
+    const results = (index.entries || [])
+      .filter((entry) => !type || (entry.type || "").toLowerCase() === type)
+      .filter(
+        (entry) => !lang || !entry.lang || entry.lang.toLowerCase().split(/[-_]/)[0] === lang
+      )
+      .filter((entry) =>
+        queryTokens.every((q) => (entry.tokens || []).some((t) => t.includes(q)))
+      )
+      .map(({ tokens, ...entry }) => entry);
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ query, type: type || null, lang: lang || null, count: results.length, results }, null, 2));
+  });
+}
+
+/**
+ * Subscribe a client to `/events` (Server-Sent Events). After each build it receives
+ *   event: change
+ *   data: {"changed":["Persons/Nova/entity.json",…],"removed":[…]}
+ * with paths relative to the docs root. A comment line is sent every 30 seconds
+ * to keep proxies from closing the connection.
+ */
+function serveEvents(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+  eventClients.add(res);
+  req.on("close", () => eventClients.delete(res));
+}
+
+/**
+ * Send an event to every client connected to `/events`.
+ */
+function broadcastEvent(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const client of eventClients) {
+    client.write(message);
+  }
+}
+
+/**
+ * Read the `files` map of the served integrity.json, or null if it is missing
+ * or unreadable (e.g. in the middle of a swap).
+ */
+function readIntegrityFiles() {
+  try {
+    return JSON.parse(fs.readFileSync(INTEGRITY_MANIFEST_PATH, "utf-8")).files || {};
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Poll integrity.json and announce every new build on `/events`, listing the files
+ * whose hash changed (or that were added) and the files that were removed.
+ * Polling by path keeps working when the build swaps a new docs folder into place.
+ */
+function watchForBuilds() {
+  let previous = readIntegrityFiles() || {};
+  fs.watchFile(INTEGRITY_MANIFEST_PATH, { interval: 500 }, () => {
+    const current = readIntegrityFiles();
+    if (!current) return;
+    const changed = Object.keys(current).filter(
+      (rel) => !previous[rel] || previous[rel].sha256 !== current[rel].sha256
+    );
+    const removed = Object.keys(previous).filter((rel) => !current[rel]);
+    previous = current;
+    if (!changed.length && !removed.length) return;
+    console.log(`Build detected: ${changed.length} changed, ${removed.length} removed file(s)`);
+    broadcastEvent("change", { changed, removed });
+  });
+  setInterval(() => {
+    for (const client of eventClients) client.write(": ping\n\n");
+  }, 30000);
+}
+
 /**
  * Create an HTTP server that listens for requests
  * and serves files from the configured targetDir (ROOT_DIR).
@@ -104,6 +234,15 @@ const server = http.createServer((req, res) => {
     return res.end();
   }
 
+  // Catalog search backed by search-index.json
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  if (pathname === "/search") {
+    return serveSearch(searchParams, res);
+  }
+  if (pathname === "/events") {
+    return serveEvents(req, res);
+  }
+
   // For a directory request (e.g., "/"), let's serve "index.json" if available
   let requestedPath = req.url === "/" ? "/index.json" : req.url;
 
@@ -171,4 +310,5 @@ function internalError(res) {
 server.listen(PORT, () => {
   console.log(`Local server running at http://localhost:${PORT}/`);
   console.log(`Serving files from: ${ROOT_DIR}`);
+  watchForBuilds();
 });
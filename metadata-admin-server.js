@@ -22,12 +22,22 @@
  * optional `bannerImage` filename, and a `lastModified` timestamp.  This admin
  * server lets you edit those fields from a browser without hand-editing JSON.
  *
+ * It also edits how generate-index.js orders the folder's items: a `sort`
+ * mode ("name", "lastModified" or "manual"), the manual `order` and the
+ * `pinned` entries (file names, folder names or entity ids, one per line).
+ * Any other field already present in the JSON is preserved on save.
+ *
+ * For every language listed in `locales` (config.json) or already present in
+ * the metadata, the form also edits a localized name, description and banner,
+ * saved under `"localized": { "<lang>": { … } }`.
+ *
  * -----------------------------------------------------------------------------
  * BANNER IMAGE
  * -----------------------------------------------------------------------------
  * You can upload one optional banner image per directory.  The file is stored
  * next to the JSON as `banner.<ext>` and its name is saved in the metadata
- * under `"bannerImage"`.  Maximum accepted size is 512 KB.
+ * under `"bannerImage"`.  Maximum accepted size is 512 KB.  Localized banners
+ * are stored the same way as `banner-<lang>.<ext>`.
  *
  * -----------------------------------------------------------------------------
  * DIRECTORY NAVIGATION
@@ -86,6 +96,7 @@ const cfg                 = loadConfig();
 const REPOSITORY_ROOT_DIR = path.resolve(__dirname, cfg.sourceDir);  // absolute
 const METADATA_FILENAME   = "repo-metadata.json";
 const PORT                = 4000;
+const LOCALES             = Array.isArray(cfg.locales) ? cfg.locales : [];
 
 /* ───────────── 2. METADATA UTILITIES (directory-aware) ───────────────────── */
 
@@ -164,8 +175,54 @@ function renderDirectoryList(currentRel) {
   return `<nav><p>${crumbs.join(" / ")}</p>${links}</nav>`;
 }
 
+const SORT_MODES = [
+  ["",             "Default (file name order)"],
+  ["name",         "By name"],
+  ["lastModified", "Newest first"],
+  ["manual",       "Manual (use the order below)"],
+];
+
+/*  Item references are edited one per line. */
+function linesToList(text) {
+  return String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+}
+
+function listToLines(list) {
+  return Array.isArray(list) ? list.join("\n") : "";
+}
+
+/*  Languages edited by the form: configured locales first, then any others already saved. */
+function languagesFor(meta) {
+  const saved = meta.localized && typeof meta.localized === "object" ? Object.keys(meta.localized) : [];
+  return [...new Set([...LOCALES, ...saved])].filter(lang => /^[A-Za-z0-9-]+$/.test(lang));
+}
+
+function renderLocalizedFields(meta, currentRel) {
+  return languagesFor(meta).map(lang => {
+    const loc = (meta.localized && meta.localized[lang]) || {};
+    const bannerTag = loc.bannerImage
+      ? `<img class="banner" alt="banner (${escapeHtml(lang)})"
+             src="/asset?dir=${encodeURIComponent(currentRel)}&file=${encodeURIComponent(loc.bannerImage)}">`
+      : "";
+    return `<fieldset>
+      <legend>Localized (${escapeHtml(lang)})</legend>
+      <label for="name_${lang}">Name</label>
+      <input type="text" id="name_${lang}" name="name_${lang}" value="${escapeHtml(loc.name || "")}" />
+      <label for="description_${lang}">Description</label>
+      <textarea id="description_${lang}" name="description_${lang}" rows="3">${escapeHtml(loc.description || "")}</textarea>
+      <label for="banner_${lang}">Banner Image (optional, ≤ 512 KB)</label>
+      <input type="file" id="banner_${lang}" name="banner_${lang}" accept="image/*" />
+      ${bannerTag}
+    </fieldset>`;
+  }).join("\n");
+}
+
 function renderHtmlPage(meta, currentRel) {
-  const { name = "", description = "", bannerImage = "" } = meta;
+  const { name = "", description = "", bannerImage = "", sort = "" } = meta;
+  const sortOptions = SORT_MODES
+    .map(([value, label]) =>
+      `<option value="${value}"${value === sort ? " selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
   const bannerTag = bannerImage
     ? `<div style="margin-top:1em"><strong>Existing banner:</strong><br>
          <img class="banner" 
@@ -205,7 +262,7 @@ function renderHtmlPage(meta, currentRel) {
     body      { font-family:sans-serif; max-width:700px; margin:40px auto;
                 background:var(--bg); color:var(--fg); }
     label     { display:block; margin-top:1em; font-weight:bold; }
-    input[type="text"], textarea {
+    input[type="text"], textarea, select {
                 width:100%; padding:0.5em; font-family:inherit;
                 background:var(--control); color:var(--fg);
                 border:1px solid var(--border); }
@@ -217,6 +274,7 @@ function renderHtmlPage(meta, currentRel) {
     nav ul    { margin-left:0; padding-left:1em; }
     nav li    { list-style-type:disc; margin:2px 0; }
     img.banner{ max-width:100%; height:auto; border:1px solid var(--border); }
+    fieldset  { margin-top:1.5em; border:1px solid var(--border); }
   </style>
 </head>
 <body>
@@ -232,6 +290,17 @@ function renderHtmlPage(meta, currentRel) {
     <label for="banner">Banner Image (optional, ≤ 512 KB)</label>
     <input type="file" id="banner" name="banner" accept="image/*" />
 
+    <label for="sort">Item Order</label>
+    <select id="sort" name="sort">${sortOptions}</select>
+
+    <label for="order">Manual Order (one file name, folder name or entity id per line)</label>
+    <textarea id="order" name="order" rows="5">${escapeHtml(listToLines(meta.order))}</textarea>
+
+    <label for="pinned">Pinned Items (always listed first, one per line)</label>
+    <textarea id="pinned" name="pinned" rows="3">${escapeHtml(listToLines(meta.pinned))}</textarea>
+
+    ${renderLocalizedFields(meta, currentRel)}
+
     <div class="notice">
       <strong>Note 1:</strong> “Last Modified” is automatically updated when you save.<br>
       <strong>Note 2:</strong> Banner image will overwrite any previous one.<br>
@@ -251,8 +320,8 @@ function renderHtmlPage(meta, currentRel) {
 const MAX_BANNER_SIZE = 512 * 1024;     // 512 KB
 
 /**
- * parseMultipart(buffer, boundary) → { fields:{}, file?:{filename,buffer} }
- * Very small subset of RFC 2388 good enough for single file + text fields.
+ * parseMultipart(buffer, boundary) → { fields:{}, files:{ <field>: {filename,buffer} } }
+ * Very small subset of RFC 2388 good enough for a few files + text fields.
  */
 function parseMultipart(buf, boundaryStr) {
   const dashBoundary = Buffer.from("--" + boundaryStr);
@@ -268,7 +337,7 @@ function parseMultipart(buf, boundaryStr) {
     start = end;
   }
 
-  const result = { fields: {} };
+  const result = { fields: {}, files: {} };
 
   for (const raw of parts) {
     // Trim leading CRLF
@@ -292,8 +361,7 @@ function parseMultipart(buf, boundaryStr) {
 
     if (filenameMatch && filenameMatch[1]) {
       // It's a file
-      result.file = {
-        fieldName,
+      result.files[fieldName] = {
         filename: path.basename(filenameMatch[1]),
         buffer: body
       };
@@ -348,29 +416,57 @@ const server = http.createServer((req, res) => {
       const boundary = boundaryMatch[1];
 
       collectRequestBuffer(req, (buf) => {
-        const { fields, file } = parseMultipart(buf, boundary);
+        const { fields, files } = parseMultipart(buf, boundary);
 
+        // Start from the existing metadata so the banner (if no new file)
+        // and any fields not edited here are preserved:
+        const existing = readMetadata(absDir);
         const updated = {
+          ...existing,
           name:         fields.name || "",
           description:  fields.description || "",
-          lastModified: Math.floor(Date.now() / 1000).toString()
+          lastModified: Math.floor(Date.now() / 1000)
         };
 
-        // Existing metadata to preserve banner if no new file:
-        const existing = readMetadata(absDir);
-        if (existing.bannerImage) updated.bannerImage = existing.bannerImage;
-
-        if (file && file.fieldName === "banner" && file.buffer.length) {
-          if (file.buffer.length > MAX_BANNER_SIZE) {
-            res.writeHead(413, { "Content-Type": "text/plain" });
-            return res.end("Banner image exceeds 512 KB limit.");
-          }
+        // Item ordering: drop keys left empty so the defaults apply
+        const sortMode = SORT_MODES.some(([value]) => value && value === fields.sort) ? fields.sort : "";
+        const order    = linesToList(fields.order);
+        const pinned   = linesToList(fields.pinned);
+        if (sortMode)      updated.sort   = sortMode; else delete updated.sort;
+        if (order.length)  updated.order  = order;    else delete updated.order;
+        if (pinned.length) updated.pinned = pinned;   else delete updated.pinned;
+
+        // Banner uploads: "banner" plus one "banner_<lang>" per language
+        const uploads = Object.entries(files).filter(([, f]) => f.buffer.length);
+        if (uploads.some(([, f]) => f.buffer.length > MAX_BANNER_SIZE)) {
+          res.writeHead(413, { "Content-Type": "text/plain" });
+          return res.end("Banner image exceeds 512 KB limit.");
+        }
+        const saveBanner = (file, baseName) => {
           const ext = path.extname(file.filename) || ".img";
-          const saveName = "banner" + ext.toLowerCase();
-          const savePath = path.join(absDir, saveName);
-          fs.writeFileSync(savePath, file.buffer);
-          updated.bannerImage = saveName;
+          const saveName = baseName + ext.toLowerCase();
+          fs.writeFileSync(path.join(absDir, saveName), file.buffer);
+          return saveName;
+        };
+        if (files.banner && files.banner.buffer.length) {
+          updated.bannerImage = saveBanner(files.banner, "banner");
+        }
+
+        // Localized fields: drop languages left entirely empty
+        const localized = { ...(existing.localized || {}) };
+        for (const lang of languagesFor(existing)) {
+          const loc = {
+            ...(localized[lang] || {}),
+            name:        fields[`name_${lang}`] || "",
+            description: fields[`description_${lang}`] || "",
+          };
+          const banner = files[`banner_${lang}`];
+          if (banner && banner.buffer.length) loc.bannerImage = saveBanner(banner, `banner-${lang}`);
+          if (!loc.name)        delete loc.name;
+          if (!loc.description) delete loc.description;
+          if (Object.keys(loc).length) localized[lang] = loc; else delete localized[lang];
         }
+        if (Object.keys(localized).length) updated.localized = localized; else delete updated.localized;
 
         try {
           writeMetadata(absDir, updated);
@@ -383,6 +479,10 @@ const server = http.createServer((req, res) => {
   <p><strong>Description:</strong> ${escapeHtml(updated.description)}</p>
   <p><strong>Last Modified:</strong> ${escapeHtml(updated.lastModified)}</p>
   ${updated.bannerImage ? `<p><strong>Banner Image:</strong> ${escapeHtml(updated.bannerImage)}</p>` : ""}
+  ${updated.sort ? `<p><strong>Item Order:</strong> ${escapeHtml(updated.sort)}</p>` : ""}
+  ${updated.pinned ? `<p><strong>Pinned:</strong> ${escapeHtml(updated.pinned.join(", "))}</p>` : ""}
+  ${Object.entries(updated.localized || {}).map(([lang, loc]) =>
+    `<p><strong>Name (${escapeHtml(lang)}):</strong> ${escapeHtml(loc.name || "")}</p>`).join("")}
   <p><a href="/?dir=${encodeURIComponent(relDir)}">Return to Editor</a></p>
 </body></html>`);
         } catch (e) {
@@ -128,6 +128,12 @@ td{
   vertical-align: top;
   border-bottom: 1px solid var(--border);
 }
+tr.draft td:first-child::before{
+  content: "draft";
+  font-size: .75rem;
+  font-weight: 600;
+}
+tr.draft{ outline: 2px dashed var(--border); }
 button{
   padding:.5rem 1rem;
   font-size:1rem;
@@ -142,6 +148,8 @@ button{
   <div class="row"><label>Title <input name="title" required></label></div>
 
   <h2>Sections</h2>
+  <p id="draftNote" hidden>Rows marked "draft" were pre-filled by the catalog build from the
+  entities that changed. Edit or remove them; saving turns the remaining ones into sections.</p>
   <table id="sections"></table>
   <button type="button" onclick="addSection()">+ Add Section</button>
 
@@ -166,6 +174,9 @@ fetch('/whats-new.json')
     form.id.value    = j.id    || todayISO();
     form.title.value = j.title || '';
     (j.sections || []).forEach(s => addSection(s.title, s.body));
+    // drafts written by "generate-index.js --whats-new-draft", waiting for review
+    (j.draftSections || []).forEach(s => addSection(s.title, s.body, true));
+    document.getElementById('draftNote').hidden = !(j.draftSections || []).length;
     if (j.cta) { form.ctaLabel.value = j.cta.label; form.ctaURL.value = j.cta.url; }
   })
   .catch(() => {                 // file missing, first-run, etc.
@@ -173,22 +184,27 @@ fetch('/whats-new.json')
   });
 
 /* ----------- build dynamic table ----------- */
-function addSection(title = '', body = '') {
+function addSection(title = '', body = '', draft = false) {
   const row = sectionsT.insertRow();
-  row.innerHTML = \`
-    <td><input  placeholder="Title" value="\${title}"></td>
-    <td><textarea placeholder="Body" rows="3" style="width:100%">\${body}</textarea></td>
-    <td><button type="button" onclick="this.closest('tr').remove()">🗑️</button></td>\`;
+  if (draft) row.className = 'draft';
+  // values are set as properties, never parsed as HTML (drafts quote entity names)
+  const input = document.createElement('input');
+  input.placeholder = 'Title';
+  input.value       = title;
+  const textarea = document.createElement('textarea');
+  textarea.placeholder = 'Body';
+  textarea.rows        = 3;
+  textarea.style.width = '100%';
+  textarea.value       = body;
+  const remove = document.createElement('button');
+  remove.type        = 'button';
+  remove.textContent = '🗑️';
+  remove.onclick     = () => row.remove();
+  row.insertCell().append(input);
+  row.insertCell().append(textarea);
+  row.insertCell().append(remove);
 }
 
-/* ----------- load current json ----------- */
-fetch('/whats-new.json').then(r=>r.json()).then(j=>{
-  form.id.value    = j.id    ?? '';
-  form.title.value = j.title ?? '';
-  (j.sections||[]).forEach(s=>addSection(s.title, s.body));
-  if(j.cta){form.ctaLabel.value=j.cta.label;form.ctaURL.value=j.cta.url;}
-}).catch(()=>{});
-
 /* ----------- submit ----------- */
 form.addEventListener('submit', (e)=>{
   e.preventDefault();